@@ -0,0 +1,34 @@
+// Encrypt environment variables stored before values were encrypted at rest.
+//
+//   node scripts/encryptEnvVars.js [--dry-run]
+//
+// Uses MONGODB_URI and ENCRYPTION_KEY from backend/.env. Safe to run more than
+// once: values that are already encrypted are left alone.
+import '../src/loadEnv.js';
+import mongoose from 'mongoose';
+import Project from '../src/models/Project.js';
+import { isEncrypted } from '../src/utils/encryption.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deployflow');
+
+let updated = 0;
+for await (const project of Project.find().select('name envVars')) {
+  const plaintext = {};
+  for (const [key, { value }] of project.envVars) {
+    if (!isEncrypted(value)) plaintext[key] = value;
+  }
+
+  const keys = Object.keys(plaintext);
+  if (keys.length === 0) continue;
+
+  console.log(`${project.name}: ${keys.join(', ')}`);
+  if (!dryRun) {
+    await Project.updateOne({ _id: project._id }, { $set: Project.envVarUpdate(plaintext).$set });
+  }
+  updated++;
+}
+
+console.log(`${dryRun ? 'Would update' : 'Updated'} ${updated} project(s)`);
+await mongoose.disconnect();
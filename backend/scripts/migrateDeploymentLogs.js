@@ -0,0 +1,44 @@
+// Move deployment logs stored inside project documents into the DeploymentLog
+// collection.
+//
+//   node scripts/migrateDeploymentLogs.js [--dry-run]
+//
+// Uses MONGODB_URI from backend/.env. Each project's logs are removed from the
+// document once they are copied, so the script can be rerun after a failure.
+import '../src/loadEnv.js';
+import mongoose from 'mongoose';
+import Project from '../src/models/Project.js';
+import DeploymentLog from '../src/models/DeploymentLog.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deployflow');
+
+// The Project schema no longer has the field, so the raw documents are read
+const projects = Project.collection.find(
+  { 'deployments.logs.0': { $exists: true } },
+  { projection: { name: 1, 'deployments._id': 1, 'deployments.logs': 1 } }
+);
+
+let moved = 0;
+let migrated = 0;
+for await (const project of projects) {
+  const logs = project.deployments.flatMap((deployment) => (deployment.logs || []).map(({ _id, ...line }) => ({
+    ...line,
+    project: project._id,
+    deployment: deployment._id,
+  })));
+
+  console.log(`${project.name}: ${logs.length} line(s)`);
+  if (!dryRun) {
+    // Drop lines copied by an earlier, interrupted run before copying again
+    await DeploymentLog.deleteMany({ deployment: { $in: project.deployments.map((d) => d._id) } });
+    await DeploymentLog.insertMany(logs, { lean: true });
+    await Project.collection.updateOne({ _id: project._id }, { $unset: { 'deployments.$[].logs': '' } });
+  }
+  moved += logs.length;
+  migrated++;
+}
+
+console.log(`${dryRun ? 'Would move' : 'Moved'} ${moved} line(s) from ${migrated} project(s)`);
+await mongoose.disconnect();
@@ -0,0 +1,30 @@
+// Let health checks that only carry the old default status accept any 2xx or
+// 3xx response.
+//
+//   node scripts/migrateHealthChecks.js [--dry-run]
+//
+// Uses MONGODB_URI from backend/.env. `healthCheck.expectedStatus` used to
+// default to 200, which was saved on every project written since health checks
+// were added: apps that answer / with a redirect failed their readiness probe
+// and were never released. The expected status is now optional, so a stored
+// 200 is removed; 200 keeps passing. Set it again on projects that need an
+// exact status. Safe to run more than once.
+import '../src/loadEnv.js';
+import mongoose from 'mongoose';
+import Project from '../src/models/Project.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deployflow');
+
+const filter = { 'healthCheck.expectedStatus': 200 };
+for await (const project of Project.find(filter).select('name')) {
+  console.log(project.name);
+}
+
+const updated = dryRun
+  ? await Project.countDocuments(filter)
+  : (await Project.updateMany(filter, { $unset: { 'healthCheck.expectedStatus': '' } })).modifiedCount;
+
+console.log(`${dryRun ? 'Would update' : 'Updated'} ${updated} project(s)`);
+await mongoose.disconnect();
@@ -0,0 +1,47 @@
+// Container resource ceilings per plan. Each project picks its own settings
+// (Project.resources) within its owner's plan.
+export const PLANS = {
+  free: {
+    name: 'Free',
+    maxMemoryMb: 512,
+    maxCpus: 1,
+    maxPidsLimit: 256,
+  },
+  pro: {
+    name: 'Pro',
+    maxMemoryMb: 2048,
+    maxCpus: 2,
+    maxPidsLimit: 1024,
+  },
+  business: {
+    name: 'Business',
+    maxMemoryMb: 8192,
+    maxCpus: 4,
+    maxPidsLimit: 4096,
+  },
+};
+
+export const DEFAULT_PLAN = 'free';
+
+export const getPlan = (planId) => PLANS[planId] || PLANS[DEFAULT_PLAN];
+
+/**
+ * Error message for resource settings that exceed the plan, or null. Unset
+ * settings fall back to the schema defaults, which every plan allows. Given
+ * the `current` settings, only raised ones count, so a project whose owner
+ * moved to a smaller plan can still be saved without lowering them.
+ */
+export const planLimitError = ({ memoryMb, cpus, pidsLimit } = {}, planId, current = {}) => {
+  const plan = getPlan(planId);
+  const exceeds = (value, max, currentValue) => value > max && !(value <= currentValue);
+  if (exceeds(memoryMb, plan.maxMemoryMb, current.memoryMb)) {
+    return `The ${plan.name} plan allows up to ${plan.maxMemoryMb} MB of memory`;
+  }
+  if (exceeds(cpus, plan.maxCpus, current.cpus)) {
+    return `The ${plan.name} plan allows up to ${plan.maxCpus} CPUs`;
+  }
+  if (exceeds(pidsLimit, plan.maxPidsLimit, current.pidsLimit)) {
+    return `The ${plan.name} plan allows up to ${plan.maxPidsLimit} processes`;
+  }
+  return null;
+};
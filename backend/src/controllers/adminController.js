@@ -0,0 +1,14 @@
+import { reconcilerService } from '../services/reconcilerService.js';
+
+// Latest reconciler report; `?refresh=true` runs a pass first
+export const getDrift = async (req, res) => {
+  try {
+    const report = req.query.refresh === 'true' || !reconcilerService.lastReport
+      ? await reconcilerService.reconcile()
+      : reconcilerService.lastReport;
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,5 +1,15 @@
+import crypto from 'crypto';
+import path from 'path';
 import Project from '../models/Project.js';
+import DeploymentLog from '../models/DeploymentLog.js';
 import { deploymentService } from '../services/deploymentService.js';
+import { buildCacheService } from '../services/buildCacheService.js';
+import { dockerService } from '../services/dockerService.js';
+import { metricsService } from '../services/metricsService.js';
+import { domainService } from '../services/domainService.js';
+import { planLimitError } from '../config/plans.js';
+import { encrypt } from '../utils/encryption.js';
+import { generateDeployKey } from '../utils/deployKeys.js';
 
 export const getProjects = async (req, res) => {
   try {
@@ -30,7 +40,17 @@ export const getProject = async (req, res) => {
 
 export const createProject = async (req, res) => {
   try {
-    const { name, description, githubRepo, subDomain, buildConfig, buildType, envVars } = req.body;
+    const { name, description, githubRepo, subDomain, productionBranch, previewsEnabled, buildConfig, healthCheck, resources, buildType, envVars } = req.body;
+
+    const envVarError = Project.invalidEnvVarChange(envVars);
+    if (envVarError) {
+      return res.status(400).json({ message: envVarError });
+    }
+
+    const resourceError = planLimitError(resources, req.user.plan);
+    if (resourceError) {
+      return res.status(400).json({ message: resourceError });
+    }
 
     // Check if subdomain is already taken
     const existingProject = await Project.findOne({ subDomain });
@@ -42,11 +62,18 @@ export const createProject = async (req, res) => {
       description,
       githubRepo,
       subDomain,
+      productionBranch,
+      previewsEnabled,
       buildConfig: buildConfig || {},
+      healthCheck: healthCheck || {},
+      resources: resources || {},
       buildType,
-      envVars: envVars || new Map(),
       owner: req.user._id,
     });
+    // Values are encrypted before they are stored
+    for (const [key, value] of Object.entries(Project.envVarUpdate(envVars).$set)) {
+      project.set(key, value);
+    }
 
     // Generate deployment URL
     project.deployUrl = project.generateDeployUrl();
@@ -61,11 +88,31 @@ export const createProject = async (req, res) => {
 
 export const updateProject = async (req, res) => {
   try {
-    const { name, description, githubRepo, subDomain, buildConfig, buildType, envVars } = req.body;
+    const { name, description, githubRepo, subDomain, productionBranch, previewsEnabled, buildConfig, healthCheck, resources, buildType, envVars } = req.body;
+
+    const existing = await Project.findOne({ _id: req.params.id, owner: req.user._id }).select('envVars resources');
+    if (!existing) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const envVarError = Project.invalidEnvVarChange(envVars, existing.envVars.keys());
+    if (envVarError) {
+      return res.status(400).json({ message: envVarError });
+    }
+
+    const resourceError = planLimitError(resources, req.user.plan, existing.resources);
+    if (resourceError) {
+      return res.status(400).json({ message: resourceError });
+    }
+
+    // Env vars are patched per key since the API never returns their values
+    const { $set, $unset } = Project.envVarUpdate(envVars);
+    const update = { name, description, githubRepo, subDomain, productionBranch, previewsEnabled, buildConfig, healthCheck, resources, buildType, ...$set };
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
 
     const project = await Project.findOneAndUpdate(
       { _id: req.params.id, owner: req.user._id },
-      { name, description, githubRepo, subDomain, buildConfig, buildType, envVars },
+      update,
       { new: true, runValidators: true }
     );
 
@@ -90,6 +137,12 @@ export const deleteProject = async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    // Stop builds of the project and its previews before their resources go
+    const inFlight = project.deployments.filter((d) => ['queued', 'deploying'].includes(d.status));
+    for (const deployment of inFlight) {
+      await deploymentService.cancel(project, deployment);
+    }
+
     // Clean up deployment resources
     await deploymentService.cleanup(project);
 
@@ -99,6 +152,35 @@ export const deleteProject = async (req, res) => {
   }
 };
 
+// Propose build settings for a repository before the project is created
+export const detectProject = async (req, res) => {
+  try {
+    const { githubRepo, ref, rootDirectory = '.' } = req.body || {};
+
+    // Public https repositories only: anything else could read from the server itself
+    if (typeof githubRepo !== 'string' || !/^https:\/\/[^\s]+$/.test(githubRepo)) {
+      return res.status(400).json({ message: 'Repository must be an https URL' });
+    }
+    if (ref !== undefined && ref !== '' && !Project.isValidRef(ref)) {
+      return res.status(400).json({ message: 'Invalid ref' });
+    }
+    if (typeof rootDirectory !== 'string' || path.isAbsolute(rootDirectory) || rootDirectory.split(/[\\/]/).includes('..')) {
+      return res.status(400).json({ message: 'Invalid root directory' });
+    }
+
+    let detected;
+    try {
+      detected = await deploymentService.detectRepository(githubRepo, { ref: ref || undefined, rootDirectory });
+    } catch (error) {
+      return res.status(422).json({ message: `Could not inspect repository: ${error.message}` });
+    }
+
+    res.json(detected);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 export const deployProject = async (req, res) => {
   try {
     const project = await Project.findOne({
@@ -110,10 +192,20 @@ export const deployProject = async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
-    // Start deployment process
-    deploymentService.deploy(project);
+    // Optional branch, tag or commit; defaults to the production branch
+    const { ref } = req.body || {};
+    if (ref !== undefined && ref !== '' && !Project.isValidRef(ref)) {
+      return res.status(400).json({ message: 'Invalid ref' });
+    }
+
+    // Queue deployment; it starts once the project has nothing else building
+    const deployment = await deploymentService.enqueue(project, { trigger: 'manual', ref });
 
-    res.json({ message: 'Deployment started', projectId: project._id });
+    res.status(202).json({
+      message: 'Deployment queued',
+      projectId: project._id,
+      deploymentId: deployment._id,
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -130,9 +222,582 @@ export const getProjectLogs = async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
-    const logs = project.currentDeployment?.logs || [];
+    // Defaults to the most recent deployment; ?deploymentId= selects an older one
+    const deployment = req.query.deploymentId
+      ? project.deployments.id(req.query.deploymentId)
+      : project.getLatestDeployment();
+    if (!deployment) return res.json([]);
+
+    const logs = await DeploymentLog.find({ deployment: deployment._id })
+      .select('-project -deployment')
+      .sort({ timestamp: 1, _id: 1 });
     res.json(logs);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
-};
\ No newline at end of file
+};
+
+// Output of the running production container. `since` is an ISO date or Unix
+// seconds; `follow=true` keeps the response open as newline-delimited JSON.
+export const getRuntimeLogs = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    }).select('buildType containerId');
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (project.buildType !== 'server' || !project.containerId) {
+      return res.status(404).json({ message: 'Project has no running container' });
+    }
+
+    const { since, tail = '200', follow } = req.query;
+    let sinceSeconds;
+    if (since) {
+      sinceSeconds = /^\d+(\.\d+)?$/.test(since) ? Number(since) : Date.parse(since) / 1000;
+      if (Number.isNaN(sinceSeconds)) {
+        return res.status(400).json({ message: 'since must be an ISO date or Unix timestamp' });
+      }
+    }
+    const tailLines = Number(tail);
+    if (!Number.isInteger(tailLines) || tailLines < 0 || tailLines > 5000) {
+      return res.status(400).json({ message: 'tail must be between 0 and 5000' });
+    }
+
+    if (follow === 'true' || follow === '1') {
+      // The response closes when the client goes away (or the container stops)
+      let closed = false;
+      let stop;
+      res.on('close', () => {
+        closed = true;
+        stop?.();
+      });
+
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Cache-Control', 'no-cache');
+      stop = await dockerService.followContainerLogs(project.containerId, {
+        since: sinceSeconds,
+        tail: tailLines,
+        onLog: (log) => res.write(`${JSON.stringify(log)}\n`),
+        onEnd: () => res.end(),
+      });
+      if (closed) stop();
+      else res.flushHeaders();
+      return;
+    }
+
+    const logs = await dockerService.getContainerLogs(project.containerId, {
+      since: sinceSeconds,
+      tail: tailLines,
+    });
+    res.json({ containerId: project.containerId, logs });
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// CPU, memory, network and restarts of the production container(s), downsampled for charts
+export const getProjectMetrics = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    }).select('buildType');
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const { range = '1h' } = req.query;
+    if (!metricsService.isValidRange(range)) {
+      return res.status(400).json({ message: 'range must be one of 1h, 6h, 24h or 7d' });
+    }
+
+    const metrics = await metricsService.getMetrics(project._id, deploymentService.containerName(project._id), range);
+    res.json(metrics);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Stop, start or restart the live container; `action` is a deploymentService method
+const controlServer = async (req, res, action, allowedStatuses) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (project.buildType !== 'server' || !project.containerId) {
+      return res.status(400).json({ message: 'Project has no deployed container' });
+    }
+
+    if (project.status === 'deploying') {
+      return res.status(409).json({ message: 'A deployment is already in progress' });
+    }
+
+    if (!allowedStatuses.includes(project.status)) {
+      return res.status(409).json({ message: `Project is ${project.status}` });
+    }
+
+    await deploymentService[action](project);
+
+    const updatedProject = await Project.findById(project._id);
+    res.json(updatedProject);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export const stopProject = (req, res) =>
+  controlServer(req, res, 'stopServer', ['running', 'unhealthy', 'failed']);
+
+export const startProject = (req, res) =>
+  controlServer(req, res, 'startServer', ['stopped']);
+
+export const restartProject = (req, res) =>
+  controlServer(req, res, 'restartServer', ['running', 'unhealthy', 'failed']);
+
+export const getDeployments = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    // Newest first
+    const deployments = project.deployments.map((deployment) => ({
+      ...deployment.toJSON(),
+      active: String(deployment._id) === String(project.activeDeployment),
+    }));
+    res.json(deployments.reverse());
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export const getDeployment = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const deployment = project.deployments.id(req.params.deploymentId);
+    if (!deployment) {
+      return res.status(404).json({ message: 'Deployment not found' });
+    }
+
+    res.json(deployment);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// The Dockerfile a server deployment was built from
+export const getDeploymentDockerfile = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    }).select('+deployments.dockerfile');
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const deployment = project.deployments.id(req.params.deploymentId);
+    if (!deployment) {
+      return res.status(404).json({ message: 'Deployment not found' });
+    }
+    if (!deployment.dockerfile) {
+      return res.status(404).json({ message: 'No Dockerfile recorded for this deployment' });
+    }
+
+    res.json({ template: deployment.dockerfileTemplate, dockerfile: deployment.dockerfile });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export const rollbackDeployment = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const deployment = project.deployments.id(req.params.deploymentId);
+    if (!deployment) {
+      return res.status(404).json({ message: 'Deployment not found' });
+    }
+
+    if (deployment.previewSlug) {
+      return res.status(400).json({ message: 'Preview deployments cannot be rolled back to' });
+    }
+
+    if (project.status === 'deploying') {
+      return res.status(409).json({ message: 'A deployment is already in progress' });
+    }
+
+    if (String(deployment._id) === String(project.activeDeployment)) {
+      return res.status(400).json({ message: 'Deployment is already live' });
+    }
+
+    if (deployment.status !== 'superseded') {
+      return res.status(400).json({ message: 'Only previously live deployments can be rolled back to' });
+    }
+
+    const artifact = deployment.buildType === 'server' ? deployment.imageName : deployment.s3Path;
+    if (!artifact || deployment.prunedAt) {
+      return res.status(400).json({ message: 'Deployment artifacts have been removed' });
+    }
+
+    await deploymentService.rollback(project, deployment);
+
+    const updatedProject = await Project.findById(project._id);
+    res.json(updatedProject);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export const cancelDeployment = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const deployment = project.deployments.id(req.params.deploymentId);
+    if (!deployment) {
+      return res.status(404).json({ message: 'Deployment not found' });
+    }
+
+    if (!['queued', 'deploying'].includes(deployment.status)) {
+      return res.status(400).json({ message: 'Only queued or running deployments can be cancelled' });
+    }
+
+    const cancelled = await deploymentService.cancel(project, deployment);
+    if (!cancelled) {
+      return res.status(409).json({ message: 'Deployment is no longer queued or running' });
+    }
+
+    res.json({ message: 'Deployment cancelled', deploymentId: deployment._id });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export const createPreview = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const { branch } = req.body || {};
+    if (!Project.isValidRef(branch)) {
+      return res.status(400).json({ message: 'A valid branch name is required' });
+    }
+
+    const deployment = await deploymentService.enqueue(project, { trigger: 'manual', previewBranch: branch });
+
+    res.status(202).json({
+      message: 'Preview deployment queued',
+      projectId: project._id,
+      deploymentId: deployment._id,
+      slug: deployment.previewSlug,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export const deletePreview = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const removed = await deploymentService.teardownPreview(project, req.params.slug, 'removed by user');
+    if (!removed) {
+      return res.status(404).json({ message: 'Preview not found' });
+    }
+
+    res.json({ message: 'Preview removed', slug: req.params.slug });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Project (other than `exceptProjectId`) already answering on any of `hosts`
+const findDomainOwner = async (hosts, exceptProjectId) => {
+  const hostnames = hosts.flatMap((host) => [host, host.replace(/^www\./, '')]);
+  const projects = await Project.find({
+    _id: { $ne: exceptProjectId },
+    'domains.hostname': { $in: hostnames },
+  }).select('domains');
+  return projects.find((project) =>
+    project.domains.some((domain) => domain.hosts.some((host) => hosts.includes(host))));
+};
+
+export const addDomain = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const { hostname, redirect = 'none' } = req.body || {};
+    const domainError = Project.invalidDomain({ hostname, redirect });
+    if (domainError) {
+      return res.status(400).json({ message: domainError });
+    }
+
+    project.domains.push({ hostname, redirect });
+    const domain = project.domains[project.domains.length - 1];
+    const taken = project.domains.some((other) => other !== domain && other.hosts.some((host) => domain.hosts.includes(host)))
+      || await findDomainOwner(domain.hosts, project._id);
+    if (taken) {
+      return res.status(409).json({ message: `${domain.hostname} is already attached to a project` });
+    }
+
+    await Project.updateOne({ _id: project._id }, { $push: { domains: domain.toObject() } });
+    res.status(201).json(domain);
+  } catch (error) {
+    // Lost a race for the same hostname against another project
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Domain is already attached to a project' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Retried until the TXT record is found; the outcome is recorded on the domain
+export const verifyDomain = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (!project.domains.id(req.params.domainId)) {
+      return res.status(404).json({ message: 'Domain not found' });
+    }
+
+    const domain = await domainService.verify(project, req.params.domainId);
+    res.json(domain);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export const updateDomain = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const domain = project.domains.id(req.params.domainId);
+    if (!domain) {
+      return res.status(404).json({ message: 'Domain not found' });
+    }
+
+    const { redirect } = req.body || {};
+    const domainError = redirect === undefined
+      ? 'redirect is required'
+      : Project.invalidDomain({ hostname: domain.hostname, redirect });
+    if (domainError) {
+      return res.status(400).json({ message: domainError });
+    }
+
+    if (redirect !== 'none' && await findDomainOwner([`www.${domain.hostname}`], project._id)) {
+      return res.status(409).json({ message: `www.${domain.hostname} is attached to another project` });
+    }
+
+    const updated = await domainService.setRedirect(project, domain._id, redirect);
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export const removeDomain = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (!project.domains.id(req.params.domainId)) {
+      return res.status(404).json({ message: 'Domain not found' });
+    }
+
+    await domainService.remove(project, req.params.domainId);
+    res.json({ message: 'Domain removed', domainId: req.params.domainId });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const webhookInfo = (req, project) => ({
+  url: `${process.env.API_URL || `${req.protocol}://${req.get('host')}`}/api/webhooks/github`,
+  contentType: 'application/json',
+  events: ['push', 'pull_request'],
+  secret: project.webhookSecret,
+});
+
+export const getWebhook = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    }).select('+webhookSecret');
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    // Projects created before webhooks existed get their secret on first request
+    await Project.updateOne(
+      { _id: project._id, webhookSecret: { $exists: false } },
+      { $set: { webhookSecret: project.webhookSecret } }
+    );
+
+    res.json(webhookInfo(req, project));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export const rotateWebhookSecret = async (req, res) => {
+  try {
+    const project = await Project.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      { webhookSecret: crypto.randomBytes(32).toString('hex') },
+      { new: true }
+    ).select('+webhookSecret');
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    res.json(webhookInfo(req, project));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Never includes the stored secrets, only what the user needs to configure the repo
+const gitCredentialsInfo = (project) => ({
+  type: project.gitCredentials?.type || 'none',
+  sshPublicKey: project.gitCredentials?.type === 'ssh' ? project.gitCredentials.sshPublicKey : undefined,
+});
+
+export const updateGitCredentials = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    }).select('subDomain gitCredentials');
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const { type, token } = req.body || {};
+    let gitCredentials;
+
+    if (type === 'token') {
+      if (typeof token !== 'string' || !token.trim()) {
+        return res.status(400).json({ message: 'Access token is required' });
+      }
+      gitCredentials = { type, token: encrypt(token.trim()) };
+    } else if (type === 'ssh') {
+      // A fresh key pair every time; the old public key stops working once removed from the repo
+      const key = await generateDeployKey(`deployflow@${project.subDomain}`);
+      gitCredentials = { type, sshPublicKey: key.publicKey, sshPrivateKey: encrypt(key.privateKey) };
+    } else if (type === 'none') {
+      gitCredentials = { type };
+    } else {
+      return res.status(400).json({ message: 'Credential type must be none, ssh or token' });
+    }
+
+    // Replaces the whole sub-document so secrets of the previous type are dropped
+    await Project.updateOne({ _id: project._id }, { $set: { gitCredentials } });
+
+    res.json(gitCredentialsInfo({ gitCredentials }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// The next deployment installs and builds from scratch
+export const clearBuildCache = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+    }).select('_id');
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    await buildCacheService.clear(project._id);
+    res.json({ message: 'Build cache cleared' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import Project from '../models/Project.js';
+import { deploymentService } from '../services/deploymentService.js';
+
+// When set, every delivery is written here so it can be replayed with scripts/replayWebhook.js
+const WEBHOOK_RECORD_DIR = process.env.WEBHOOK_RECORD_DIR;
+
+// "https://github.com/Owner/Repo.git", "git@github.com:owner/repo" → "github.com/owner/repo"
+const normalizeRepoUrl = (url = '') =>
+  url
+    .trim()
+    .toLowerCase()
+    .replace(/^git@([^:]+):/, '$1/')
+    .replace(/^[a-z+]+:\/\//, '')
+    .replace(/^[^@/]+@/, '')
+    .replace(/\.git$/, '')
+    .replace(/\/+$/, '');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const verifySignature = (secret, rawBody, signature) => {
+  if (!secret || !signature) return false;
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(signature);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const recordDelivery = async (req) => {
+  try {
+    await fs.mkdir(WEBHOOK_RECORD_DIR, { recursive: true });
+    const event = req.get('X-GitHub-Event') || 'unknown';
+    const delivery = req.get('X-GitHub-Delivery') || crypto.randomUUID();
+    const file = path.join(WEBHOOK_RECORD_DIR, `${Date.now()}-${event}-${delivery}.json`);
+
+    await fs.writeFile(file, JSON.stringify({
+      headers: {
+        'x-github-event': event,
+        'x-github-delivery': delivery,
+        'x-hub-signature-256': req.get('X-Hub-Signature-256'),
+      },
+      body: req.rawBody.toString('utf8'),
+    }, null, 2));
+  } catch (error) {
+    console.error('Failed to record webhook delivery:', error);
+  }
+};
+
+const previewFor = (project, branch) => project.previews.find((p) => p.branch === branch);
+
+const handlePush = async (projects, payload, branch) => {
+  if (payload.deleted) {
+    const removed = [];
+    for (const project of projects) {
+      const preview = previewFor(project, branch);
+      if (preview && await deploymentService.teardownPreview(project, preview.slug, `branch ${branch} deleted`)) {
+        removed.push({ projectId: project._id, slug: preview.slug });
+      }
+    }
+    return { message: removed.length > 0 ? 'Previews removed' : 'Ignoring branch deletion', previews: removed };
+  }
+
+  const deployments = [];
+  for (const project of projects) {
+    const productionBranch = project.productionBranch || payload.repository.default_branch;
+    const isProduction = branch === productionBranch;
+    if (!isProduction && !project.previewsEnabled) continue;
+
+    // Deploy exactly the pushed commit, even if the branch moves again before the build starts
+    const deployment = await deploymentService.enqueue(project, {
+      trigger: 'webhook',
+      ref: payload.after,
+      previewBranch: isProduction ? undefined : branch,
+    });
+    deployments.push({ projectId: project._id, deploymentId: deployment._id, environment: deployment.environment });
+  }
+
+  return {
+    message: deployments.length > 0 ? 'Deployments queued' : 'No projects deploy this branch',
+    deployments,
+  };
+};
+
+// Pushes already build PR branches; PR events only add missing previews and remove closed ones
+const handlePullRequest = async (projects, payload) => {
+  const { action, number, pull_request: pullRequest } = payload;
+  const branch = pullRequest?.head?.ref;
+  // Fork branches can't be cloned from the project's repository
+  const sameRepo = pullRequest?.head?.repo?.full_name === payload.repository.full_name;
+
+  if (action === 'closed') {
+    const removed = [];
+    for (const project of projects) {
+      const preview = previewFor(project, branch);
+      if (preview && await deploymentService.teardownPreview(project, preview.slug, `pull request #${number} closed`)) {
+        removed.push({ projectId: project._id, slug: preview.slug });
+      }
+    }
+    return { message: removed.length > 0 ? 'Previews removed' : 'No previews for this pull request', previews: removed };
+  }
+
+  if (!['opened', 'reopened'].includes(action) || !sameRepo) {
+    return { message: `Ignoring pull_request ${action}` };
+  }
+
+  const deployments = [];
+  for (const project of projects) {
+    const productionBranch = project.productionBranch || payload.repository.default_branch;
+    if (!project.previewsEnabled || branch === productionBranch) continue;
+
+    if (previewFor(project, branch)) {
+      await deploymentService.registerPreview(project, branch, { pullRequest: number });
+      continue;
+    }
+
+    const deployment = await deploymentService.enqueue(project, {
+      trigger: 'webhook',
+      ref: pullRequest.head.sha,
+      previewBranch: branch,
+      pullRequest: number,
+    });
+    deployments.push({ projectId: project._id, deploymentId: deployment._id, environment: deployment.environment });
+  }
+
+  return {
+    message: deployments.length > 0 ? 'Preview deployments queued' : 'No previews to create',
+    deployments,
+  };
+};
+
+export const handleGithubWebhook = async (req, res) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(415).json({ message: 'Webhook content type must be application/json' });
+    }
+
+    if (WEBHOOK_RECORD_DIR) await recordDelivery(req);
+
+    const event = req.get('X-GitHub-Event');
+    const signature = req.get('X-Hub-Signature-256');
+    const payload = req.body;
+
+    if (event === 'ping') {
+      return res.json({ message: 'pong' });
+    }
+
+    if (!['push', 'pull_request'].includes(event)) {
+      return res.status(202).json({ message: `Ignoring ${event} event` });
+    }
+
+    const repoUrl = payload.repository?.html_url || payload.repository?.clone_url;
+    const repo = normalizeRepoUrl(repoUrl);
+    const branch = payload.ref?.startsWith('refs/heads/') ? payload.ref.slice('refs/heads/'.length) : null;
+
+    if (!repoUrl || (event === 'push' && !branch)) {
+      return res.status(202).json({ message: 'Ignoring push that is not to a branch' });
+    }
+
+    // Cheap prefilter on owner/repo, exact comparison after normalizing
+    const [, owner, name] = repo.split('/');
+    const candidates = await Project.find({
+      githubRepo: { $regex: escapeRegex(`${owner}/${name}`), $options: 'i' },
+    }).select('+webhookSecret');
+
+    const projects = candidates.filter(
+      (project) =>
+        normalizeRepoUrl(project.githubRepo) === repo &&
+        verifySignature(project.webhookSecret, req.rawBody, signature)
+    );
+
+    if (candidates.length > 0 && projects.length === 0) {
+      return res.status(401).json({ message: 'Invalid signature' });
+    }
+
+    const result = event === 'push'
+      ? await handlePush(projects, payload, branch)
+      : await handlePullRequest(projects, payload);
+
+    res.status(202).json(result);
+  } catch (error) {
+    console.error('GitHub webhook error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
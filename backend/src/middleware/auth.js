@@ -22,4 +22,29 @@ export const authenticateToken = async (req, res, next) => {
   } catch (error) {
     return res.status(403).json({ message: 'Invalid or expired token' });
   }
-};
\ No newline at end of file
+};
+
+// socket.io counterpart of authenticateToken: the client sends its token as `auth.token`
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+    if (!token) return next(new Error('Access token required'));
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const user = await User.findById(decoded.userId);
+    if (!user) return next(new Error('User not found'));
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+};
+
+// Use after authenticateToken
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
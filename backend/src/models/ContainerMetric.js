@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Samples older than this are removed by MongoDB's TTL monitor
+export const METRICS_RETENTION_DAYS = parseInt(process.env.METRICS_RETENTION_DAYS, 10) || 7;
+
+// One sample per managed container per collection interval (metricsService).
+// Rates and CPU are averaged over the interval, not instantaneous readings.
+const containerMetricSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+  },
+  site: String, // deployflow.site label: production or one preview
+  containerId: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  cpuPercent: Number, // 100 = one full core
+  memoryBytes: Number,
+  memoryLimitBytes: Number,
+  networkRxBytesPerSec: Number,
+  networkTxBytesPerSec: Number,
+  restartCount: Number,
+}, {
+  versionKey: false,
+});
+
+containerMetricSchema.index({ project: 1, site: 1, timestamp: 1 });
+containerMetricSchema.index({ timestamp: 1 }, { expireAfterSeconds: METRICS_RETENTION_DAYS * 24 * 60 * 60 });
+
+const ContainerMetric = mongoose.model('ContainerMetric', containerMetricSchema);
+
+export default ContainerMetric;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Lines older than this are removed by MongoDB's TTL monitor
+export const DEPLOYMENT_LOG_RETENTION_DAYS = parseInt(process.env.DEPLOYMENT_LOG_RETENTION_DAYS, 10) || 90;
+
+// One line of deployment output. Kept out of the Project document, which a
+// chatty build would otherwise push past MongoDB's 16MB document limit.
+const deploymentLogSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+  },
+  deployment: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  level: {
+    type: String,
+    enum: ['info', 'warn', 'error', 'success'],
+    default: 'info',
+  },
+  message: String,
+  stream: {
+    type: String,
+    enum: ['stdout', 'stderr'],
+  },
+}, {
+  versionKey: false,
+});
+
+deploymentLogSchema.index({ deployment: 1, timestamp: 1 });
+deploymentLogSchema.index({ project: 1 });
+deploymentLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: DEPLOYMENT_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+const DeploymentLog = mongoose.model('DeploymentLog', deploymentLogSchema);
+
+export default DeploymentLog;
@@ -1,4 +1,46 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { encrypt } from '../utils/encryption.js';
+
+// Branch/tag names and commit SHAs; rejects option-like and path-escaping values
+const isValidRef = (ref) =>
+  typeof ref === 'string'
+  && /^[A-Za-z0-9._/-]+$/.test(ref)
+  && !ref.startsWith('-')
+  && !ref.includes('..');
+
+// Paths inside the checkout: relative and never climbing out of it
+const isRelativePath = (value) =>
+  !value.startsWith('/') && !value.split(/[\\/]/).includes('..');
+
+const ENV_VAR_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ENV_VAR_SCOPES = ['build', 'runtime', 'both'];
+const MASK = '••••••••';
+
+// DNS hostnames: dot-separated labels of letters, digits and inner hyphens
+const HOSTNAME = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const DOMAIN_REDIRECTS = ['none', 'apex-to-www', 'www-to-apex'];
+
+// Long values keep their last 4 characters so users can tell them apart
+const maskEnvValue = (value) => (value.length >= 12 ? `${MASK}${value.slice(-4)}` : MASK);
+
+// Values are write-only: `value` is ciphertext (utils/encryption.js) and only
+// `preview` is ever returned by the API
+const envVarSchema = new mongoose.Schema({
+  value: {
+    type: String,
+    required: true,
+  },
+  preview: String,
+  // `build`: static builds and Docker build args; `runtime`: the running container
+  scope: {
+    type: String,
+    enum: ENV_VAR_SCOPES,
+    default: 'both',
+  },
+}, {
+  _id: false,
+});
 
 const deploymentSchema = new mongoose.Schema({
   version: {
@@ -7,8 +49,31 @@ const deploymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['deploying', 'running', 'failed', 'stopped'],
-    default: 'deploying',
+    enum: ['queued', 'deploying', 'running', 'superseded', 'failed', 'cancelled', 'stopped'],
+    default: 'queued',
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'webhook'],
+    default: 'manual',
+  },
+  ref: String, // branch, tag or commit requested; empty means the repo's default branch
+  environment: {
+    type: String,
+    enum: ['production', 'preview'],
+    default: 'production',
+  },
+  previewSlug: String, // `slug` of the preview this deployment belongs to
+  commitSha: String,
+  commitMessage: String,
+  commitAuthor: String,
+  framework: String, // detected from the checkout (services/frameworkService.js)
+  // Server builds: `custom` for the repo's own Dockerfile, else the template id
+  // from utils/dockerfileTemplates.js, and the Dockerfile that was built
+  dockerfileTemplate: String,
+  dockerfile: {
+    type: String,
+    select: false,
   },
   buildType: {
     type: String,
@@ -16,28 +81,116 @@ const deploymentSchema = new mongoose.Schema({
     required: true,
     required: true,
   },
+  // Artifact location: enough to re-point traffic without rebuilding
+  imageName: String,
+  containerPort: Number, // what the image was run with, reused on rollback
+  startCommand: String,
   containerId: String,
+  port: Number,
   s3Path: String,
+  prunedAt: Date, // set once the artifact has been garbage collected
   deployUrl: String,
-  startedAt: {
+  queuedAt: {
     type: Date,
     default: Date.now,
   },
+  startedAt: Date, // set when a queue worker picks the deployment up
   completedAt: Date,
-  logs: [{
-    timestamp: {
-      type: Date,
-      default: Date.now,
-    },
-    level: {
+  // Build steps in the order they ran
+  steps: [{
+    name: String,
+    command: String,
+    status: {
       type: String,
-      enum: ['info', 'warn', 'error', 'success'],
-      default: 'info',
+      enum: ['succeeded', 'failed', 'timed_out', 'cancelled'],
     },
-    message: String,
+    exitCode: Number,
+    startedAt: Date,
+    durationMs: Number,
   }],
 });
 
+// A branch deployed to `<slug>--<subDomain>.<BASE_DOMAIN>` alongside production
+const previewSchema = new mongoose.Schema({
+  branch: {
+    type: String,
+    required: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+  },
+  pullRequest: Number,
+  deployUrl: String,
+  activeDeployment: mongoose.Schema.Types.ObjectId,
+  containerId: String,
+  // Previews untouched for PREVIEW_TTL_HOURS are torn down
+  lastActivityAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * A hostname the user owns, served alongside `<subDomain>.<BASE_DOMAIN>` by
+ * the production deployment once ownership is verified (a TXT record holding
+ * the token) and a certificate covering its hosts is issued (domainService).
+ */
+const domainSchema = new mongoose.Schema({
+  hostname: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  verificationToken: {
+    type: String,
+    required: true,
+    default: () => crypto.randomBytes(16).toString('hex'),
+  },
+  verifiedAt: Date,
+  checkedAt: Date, // last verification or certificate attempt
+  error: String, // why that attempt failed; empty once the domain is served
+  // `apex-to-www` also serves www.<hostname> and sends the apex there; `www-to-apex` the reverse
+  redirect: {
+    type: String,
+    enum: DOMAIN_REDIRECTS,
+    default: 'none',
+  },
+  certificateHosts: [String], // hosts the issued certificate covers
+  certificateIssuedAt: Date,
+}, {
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+});
+
+// What the user adds to their DNS zone to prove ownership
+domainSchema.virtual('verificationRecord').get(function() {
+  return {
+    type: 'TXT',
+    name: `_deployflow-challenge.${this.hostname}`,
+    value: `deployflow-verify=${this.verificationToken}`,
+  };
+});
+
+// Hosts this domain answers on; redirects pair the hostname with its www host
+domainSchema.virtual('hosts').get(function() {
+  return this.redirect === 'none' ? [this.hostname] : [this.hostname, `www.${this.hostname}`];
+});
+
+// Host the redirect sends visitors to
+domainSchema.virtual('canonicalHost').get(function() {
+  return this.redirect === 'apex-to-www' ? `www.${this.hostname}` : this.hostname;
+});
+
+// Verified, and the certificate covers every host
+domainSchema.virtual('active').get(function() {
+  return Boolean(this.verifiedAt) && this.hosts.every((host) => this.certificateHosts.includes(host));
+});
+
 const projectSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -58,17 +211,72 @@ const projectSchema = new mongoose.Schema({
     required: true,
     unique: true,
     trim: true,
+    // "--" separates the branch from the subdomain in preview hosts
+    validate: {
+      validator: (value) => !value.includes('--'),
+      message: 'Subdomain cannot contain "--"',
+    },
+  },
+  // Branch deployed by default and on push; empty means the repo's default branch
+  productionBranch: {
+    type: String,
+    default: '',
+    trim: true,
+    validate: {
+      validator: (value) => value === '' || isValidRef(value),
+      message: 'Production branch is not a valid branch name',
+    },
+  },
+  // Build previews for pushes to branches other than the production branch
+  previewsEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  // HMAC secret for GitHub push webhooks (X-Hub-Signature-256)
+  webhookSecret: {
+    type: String,
+    select: false,
+    default: () => crypto.randomBytes(32).toString('hex'),
+  },
+  // Credentials for cloning private repositories. Secrets are stored encrypted
+  // (utils/encryption.js) and only selected when a clone needs them.
+  gitCredentials: {
+    type: {
+      type: String,
+      enum: ['none', 'ssh', 'token'],
+      default: 'none',
+    },
+    sshPublicKey: String, // shown to the user to add as a deploy key
+    sshPrivateKey: {
+      type: String,
+      select: false,
+    },
+    token: {
+      type: String,
+      select: false,
+    },
   },
   envVars: {
     type: Map,
-    of: String,
+    of: envVarSchema,
     default: new Map(),
   },
   buildConfig: {
+    // Also the Docker build context for server projects
     rootDirectory: {
       type: String,
       default: '.',
       trim: true,
+      validate: {
+        validator: isRelativePath,
+        message: 'Root directory must be a path inside the repository',
+      },
+    },
+    // Empty: chosen from the lockfile (npm, yarn, pnpm or bun)
+    installCommand: {
+      type: String,
+      default: '',
+      trim: true,
     },
     buildCommand: {
       type: String,
@@ -80,6 +288,94 @@ const projectSchema = new mongoose.Schema({
       default: 'dist',
       trim: true,
     },
+    // Server projects only
+    dockerfilePath: {
+      type: String,
+      default: 'Dockerfile', // relative to rootDirectory; generated if missing
+      trim: true,
+      validate: {
+        validator: isRelativePath,
+        message: 'Dockerfile path must be a path inside the repository',
+      },
+    },
+    containerPort: {
+      type: Number,
+      default: 3000,
+      min: 1,
+      max: 65535,
+    },
+    // Replaces the image's CMD when set; runs through /bin/sh
+    startCommand: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+  },
+  // Server projects only: HTTP probe against the container's host port, run
+  // before a deployment goes live and then every `intervalSeconds`
+  healthCheck: {
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    path: {
+      type: String,
+      default: '/',
+      trim: true,
+      validate: {
+        validator: (value) => value.startsWith('/'),
+        message: 'Health check path must start with /',
+      },
+    },
+    // Unset accepts any 2xx or 3xx response
+    expectedStatus: {
+      type: Number,
+      min: 100,
+      max: 599,
+    },
+    intervalSeconds: {
+      type: Number,
+      default: 30,
+      min: 5,
+      max: 3600,
+    },
+    timeoutSeconds: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 60,
+    },
+    // Consecutive failed probes before a running app is marked unhealthy
+    retries: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 10,
+    },
+  },
+  // Server projects only: applied when a container is created, so changes
+  // take effect on the next deployment. Capped by the owner's plan.
+  resources: {
+    memoryMb: {
+      type: Number,
+      default: 512,
+      min: 64,
+    },
+    cpus: {
+      type: Number,
+      default: 1,
+      min: 0.1,
+    },
+    pidsLimit: {
+      type: Number,
+      default: 256,
+      min: 16,
+    },
+    restartPolicy: {
+      type: String,
+      enum: ['no', 'on-failure', 'unless-stopped', 'always'],
+      default: 'unless-stopped',
+    },
   },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
@@ -88,11 +384,20 @@ const projectSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['idle', 'deploying', 'running', 'failed', 'stopped'],
+    enum: ['idle', 'deploying', 'running', 'unhealthy', 'failed', 'stopped'],
     default: 'idle',
   },
-  currentDeployment: deploymentSchema,
+  // Latest probe of the live server deployment
+  health: {
+    checkedAt: Date,
+    error: String, // empty while the app is healthy
+  },
+  activeDeployment: mongoose.Schema.Types.ObjectId, // _id of the live entry in `deployments`
   deployments: [deploymentSchema],
+  // Number of the latest deployment (`version`); unset on projects older than the counter
+  deploymentCount: Number,
+  previews: [previewSchema],
+  domains: [domainSchema],
   containerId: String, // For server deployments
   deployUrl: String,
   buildType: {
@@ -101,6 +406,33 @@ const projectSchema = new mongoose.Schema({
   },
 }, {
   timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      if (ret.envVars) {
+        ret.envVars = Object.fromEntries(
+          Object.entries(ret.envVars).map(([key, { preview, scope }]) => [
+            key,
+            { preview: preview || MASK, scope: scope || 'both' },
+          ])
+        );
+      }
+      return ret;
+    },
+  },
+});
+
+// A custom domain belongs to one project (projects without domains aren't indexed)
+projectSchema.index(
+  { 'domains.hostname': 1 },
+  { unique: true, partialFilterExpression: { 'domains.hostname': { $exists: true } } }
+);
+
+// Projects saved before encryption hold plain strings; wrap them so they load.
+// They stay plaintext at rest until rewritten (see scripts/encryptEnvVars.js).
+projectSchema.pre('init', function(raw) {
+  for (const [key, value] of Object.entries(raw.envVars || {})) {
+    if (typeof value === 'string') raw.envVars[key] = { value };
+  }
 });
 
 // Generate unique deployment URL
@@ -109,6 +441,84 @@ projectSchema.methods.generateDeployUrl = function() {
   return `https://${subdomain}.${process.env.BASE_DOMAIN}`;
 };
 
+// Most recent deployment record, whatever its outcome
+projectSchema.methods.getLatestDeployment = function() {
+  return this.deployments[this.deployments.length - 1];
+};
+
+projectSchema.statics.isValidRef = isValidRef;
+
+/**
+ * Turn env var changes from the API into update operators:
+ * - `"value"` or `{ value, scope }` sets (and encrypts) the value; scope defaults to `both`
+ * - `{ scope }` changes only the scope of an existing variable
+ * - `null` removes the variable
+ * Anything else, such as the `{ preview, scope }` objects the API returns,
+ * leaves the variable unchanged. Check changes with `invalidEnvVarChange` first.
+ */
+projectSchema.statics.envVarUpdate = function(changes = {}) {
+  const $set = {};
+  const $unset = {};
+
+  for (const [key, change] of Object.entries(changes)) {
+    if (change === null) {
+      $unset[`envVars.${key}`] = '';
+      continue;
+    }
+
+    const { value, scope = 'both', preview } = typeof change === 'string' ? { value: change } : change;
+    if (typeof value === 'string') {
+      $set[`envVars.${key}`] = { value: encrypt(value), preview: maskEnvValue(value), scope };
+    } else if (change.scope && preview === undefined) {
+      $set[`envVars.${key}.scope`] = scope;
+    }
+  }
+
+  return { $set, $unset };
+};
+
+/**
+ * Error message for the first change `envVarUpdate` can't apply, if any.
+ * `existingNames` are the project's current variables, the only ones whose
+ * scope can be changed on its own.
+ */
+projectSchema.statics.invalidEnvVarChange = function(changes = {}, existingNames = []) {
+  const existing = new Set(existingNames);
+  for (const [key, change] of Object.entries(changes)) {
+    if (!ENV_VAR_NAME.test(key)) return `Invalid environment variable name: ${key}`;
+    if (change === null || typeof change === 'string') continue;
+    if (typeof change !== 'object' || Array.isArray(change) || (change.value !== undefined && typeof change.value !== 'string')) {
+      return `Invalid value for ${key}: must be a string`;
+    }
+    if (change.scope !== undefined && !ENV_VAR_SCOPES.includes(change.scope)) {
+      return `Invalid scope for ${key}: must be one of ${ENV_VAR_SCOPES.join(', ')}`;
+    }
+    if (change.value === undefined && change.preview === undefined && !existing.has(key)) {
+      return `Unknown environment variable: ${key}`;
+    }
+  }
+  return null;
+};
+
+// Error message for a custom domain that can't be attached, if any
+projectSchema.statics.invalidDomain = function({ hostname, redirect } = {}) {
+  if (typeof hostname !== 'string' || !HOSTNAME.test(hostname.trim().toLowerCase())) {
+    return 'Invalid domain name';
+  }
+  const host = hostname.trim().toLowerCase();
+  const baseDomain = process.env.BASE_DOMAIN;
+  if (baseDomain && (host === baseDomain || host.endsWith(`.${baseDomain}`))) {
+    return `Subdomains of ${baseDomain} can't be added as custom domains`;
+  }
+  if (redirect !== undefined && !DOMAIN_REDIRECTS.includes(redirect)) {
+    return `Invalid redirect: must be one of ${DOMAIN_REDIRECTS.join(', ')}`;
+  }
+  if (redirect && redirect !== 'none' && host.startsWith('www.')) {
+    return 'Redirects pair a domain with its www host; add the domain without www.';
+  }
+  return null;
+};
+
 const Project = mongoose.model('Project', projectSchema);
 
 export default Project;
\ No newline at end of file
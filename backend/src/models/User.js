@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { PLANS, DEFAULT_PLAN, getPlan } from '../config/plans.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -19,6 +20,18 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6,
   },
+  // Caps the container resources of the user's projects (config/plans.js)
+  plan: {
+    type: String,
+    enum: Object.keys(PLANS),
+    default: DEFAULT_PLAN,
+  },
+  // Admins can read platform-wide state such as reconciler drift; only set in the database
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user',
+  },
 }, {
   timestamps: true,
 });
@@ -45,6 +58,7 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  userObject.planLimits = getPlan(this.plan);
   return userObject;
 };
 
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getDrift } from '../controllers/adminController.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+router.get('/drift', getDrift);
+
+export default router;
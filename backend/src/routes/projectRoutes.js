@@ -3,10 +3,31 @@ import {
   getProjects,
   getProject,
   createProject,
+  detectProject,
   updateProject,
   deleteProject,
   deployProject,
+  stopProject,
+  startProject,
+  restartProject,
   getProjectLogs,
+  getRuntimeLogs,
+  getProjectMetrics,
+  getDeployments,
+  getDeployment,
+  getDeploymentDockerfile,
+  rollbackDeployment,
+  cancelDeployment,
+  createPreview,
+  deletePreview,
+  addDomain,
+  verifyDomain,
+  updateDomain,
+  removeDomain,
+  getWebhook,
+  rotateWebhookSecret,
+  updateGitCredentials,
+  clearBuildCache,
 } from '../controllers/projectController.js';
 import { authenticateToken } from '../middleware/auth.js';
 
@@ -18,9 +39,30 @@ router.use(authenticateToken);
 router.get('/', getProjects);
 router.get('/:id', getProject);
 router.post('/', createProject);
+router.post('/detect', detectProject);
 router.put('/:id', updateProject);
 router.delete('/:id', deleteProject);
 router.post('/:id/deploy', deployProject);
+router.post('/:id/stop', stopProject);
+router.post('/:id/start', startProject);
+router.post('/:id/restart', restartProject);
 router.get('/:id/logs', getProjectLogs);
+router.get('/:id/runtime-logs', getRuntimeLogs);
+router.get('/:id/metrics', getProjectMetrics);
+router.get('/:id/deployments', getDeployments);
+router.get('/:id/deployments/:deploymentId', getDeployment);
+router.get('/:id/deployments/:deploymentId/dockerfile', getDeploymentDockerfile);
+router.post('/:id/deployments/:deploymentId/rollback', rollbackDeployment);
+router.post('/:id/deployments/:deploymentId/cancel', cancelDeployment);
+router.post('/:id/previews', createPreview);
+router.delete('/:id/previews/:slug', deletePreview);
+router.post('/:id/domains', addDomain);
+router.post('/:id/domains/:domainId/verify', verifyDomain);
+router.put('/:id/domains/:domainId', updateDomain);
+router.delete('/:id/domains/:domainId', removeDomain);
+router.get('/:id/webhook', getWebhook);
+router.post('/:id/webhook/rotate', rotateWebhookSecret);
+router.put('/:id/git-credentials', updateGitCredentials);
+router.delete('/:id/cache', clearBuildCache);
 
 export default router;
\ No newline at end of file
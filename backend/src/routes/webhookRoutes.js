@@ -0,0 +1,9 @@
+import express from 'express';
+import { handleGithubWebhook } from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+// Authenticated by per-project HMAC signatures, not by user tokens
+router.post('/github', handleGithubWebhook);
+
+export default router;
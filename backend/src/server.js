@@ -9,8 +9,15 @@ import { Server } from 'socket.io';
 import connectDB from './config/database.js';
 import authRoutes from './routes/authRoutes.js';
 import projectRoutes from './routes/projectRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { setupSocketHandlers } from './services/socketService.js';
+import { deploymentQueue } from './services/deploymentQueue.js';
+import { deploymentService } from './services/deploymentService.js';
+import { healthService } from './services/healthService.js';
+import { metricsService } from './services/metricsService.js';
+import { reconcilerService } from './services/reconcilerService.js';
 
 
 
@@ -23,8 +30,18 @@ const io = new Server(server, {
   }
 });
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then settle deployments the last process was building and
+// pick up the ones it had queued, start expiring idle previews, start probing
+// and sampling running server apps, and keep Docker and nginx in line with the database
+connectDB().then(async () => {
+  await deploymentService.recoverInterruptedDeployments()
+    .catch((error) => console.error('Deployment recovery failed:', error));
+  deploymentQueue.start();
+  deploymentService.startPreviewSweeper();
+  healthService.start();
+  metricsService.start();
+  reconcilerService.start();
+});
 
 // Middleware
 app.use(helmet());
@@ -36,16 +53,34 @@ app.use(cors({
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Webhooks have their own limit below
+  skip: (req) => req.originalUrl.startsWith('/api/webhooks'),
 });
 app.use(limiter);
 
-app.use(express.json({ limit: '10mb' }));
+// GitHub delivers every repository's webhooks from a handful of addresses, so
+// a busy organisation would exhaust the per-user limit above in minutes
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 600,
+});
+app.use('/api/webhooks', webhookLimiter);
+
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes GitHub sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
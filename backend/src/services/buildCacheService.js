@@ -0,0 +1,106 @@
+// buildCacheService.js
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// One directory per project; safe to delete at any time
+const BUILD_CACHE_DIR = process.env.BUILD_CACHE_DIR || '/var/cache/deployflow';
+
+// Framework caches reused whatever the lockfile, relative to the root directory
+const FRAMEWORK_CACHE_DIRS = ['.next/cache', '.nuxt/cache', '.astro', '.angular/cache', '.cache'];
+
+class BuildCacheService {
+  projectDir(projectId) {
+    return path.join(BUILD_CACHE_DIR, String(projectId));
+  }
+
+  /**
+   * node_modules is keyed by a hash of the lockfile (package.json when there
+   * is none), so a dependency change never restores stale packages.
+   */
+  async dependencyKey(workingDir, lockfile) {
+    const source = await fs.readFile(path.join(workingDir, lockfile || 'package.json')).catch(() => null);
+    return source ? crypto.createHash('sha256').update(source).digest('hex').slice(0, 16) : null;
+  }
+
+  /**
+   * Copy cached node_modules and framework caches into `workingDir` before
+   * the install. Resolves to `{ key, hit, frameworkCaches }`; `key` is passed
+   * back to `save` once the build has succeeded.
+   */
+  async restore(projectId, workingDir, { lockfile } = {}) {
+    const cacheDir = this.projectDir(projectId);
+    const key = await this.dependencyKey(workingDir, lockfile);
+
+    let hit = false;
+    if (key && await this.exists(path.join(cacheDir, 'node_modules', key))) {
+      await fs.cp(path.join(cacheDir, 'node_modules', key), path.join(workingDir, 'node_modules'), {
+        recursive: true,
+        verbatimSymlinks: true,
+      });
+      hit = true;
+    }
+
+    const frameworkCaches = [];
+    for (const dir of FRAMEWORK_CACHE_DIRS) {
+      const source = path.join(cacheDir, 'framework', dir);
+      if (!await this.exists(source)) continue;
+      await fs.cp(source, path.join(workingDir, dir), { recursive: true, verbatimSymlinks: true });
+      frameworkCaches.push(dir);
+    }
+
+    return { key, hit, frameworkCaches };
+  }
+
+  /**
+   * Store `workingDir`'s node_modules under `key` (replacing entries for older
+   * lockfiles) and its framework caches. Failures only cost the next build
+   * its cache, so they are reported rather than thrown.
+   */
+  async save(projectId, workingDir, key) {
+    const cacheDir = this.projectDir(projectId);
+    const saved = [];
+
+    try {
+      const modulesDir = path.join(cacheDir, 'node_modules');
+      const modules = path.join(workingDir, 'node_modules');
+      if (key && await this.exists(modules) && !await this.exists(path.join(modulesDir, key))) {
+        // Copy aside first so a half-written entry is never restored
+        const staging = path.join(cacheDir, `.staging-${crypto.randomUUID()}`);
+        await fs.cp(modules, staging, { recursive: true, verbatimSymlinks: true });
+        await fs.rm(modulesDir, { recursive: true, force: true });
+        await fs.mkdir(modulesDir, { recursive: true });
+        await fs.rename(staging, path.join(modulesDir, key));
+        saved.push('node_modules');
+      }
+
+      for (const dir of FRAMEWORK_CACHE_DIRS) {
+        const source = path.join(workingDir, dir);
+        if (!await this.exists(source)) continue;
+        const target = path.join(cacheDir, 'framework', dir);
+        await fs.rm(target, { recursive: true, force: true });
+        await fs.cp(source, target, { recursive: true, verbatimSymlinks: true });
+        saved.push(dir);
+      }
+    } catch (error) {
+      console.error(`Failed to save build cache for project ${projectId}:`, error);
+    }
+
+    return saved;
+  }
+
+  async clear(projectId) {
+    await fs.rm(this.projectDir(projectId), { recursive: true, force: true });
+  }
+
+  async exists(target) {
+    try {
+      await fs.access(target);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export const buildCacheService = new BuildCacheService();
@@ -0,0 +1,154 @@
+import Project from '../models/Project.js';
+
+// Maximum number of deployments building at once across all projects
+const DEPLOY_CONCURRENCY = parseInt(process.env.DEPLOY_CONCURRENCY, 10) || 2;
+
+/**
+ * Deployment job queue backed by the `deployments` records in Mongo.
+ *
+ * A job is a deployment with status `queued`. Workers claim jobs with an
+ * atomic update that only succeeds while the project has no other deployment
+ * `deploying`, which serializes deployments per project even across
+ * processes. Queued jobs survive restarts and are picked up by `start()`.
+ */
+class DeploymentQueue {
+  constructor() {
+    this.worker = null;
+    this.running = new Map(); // deploymentId → AbortController
+    this.draining = false;
+    this.drainRequested = false;
+    this.started = false;
+  }
+
+  /**
+   * Register the function that runs a claimed job:
+   * `worker(project, deployment, signal)`.
+   */
+  process(worker) {
+    this.worker = worker;
+  }
+
+  // Nothing is claimed before this: startup recovery assumes no deployment is building
+  start() {
+    this.started = true;
+    console.log(`Deployment queue started (concurrency ${DEPLOY_CONCURRENCY})`);
+    return this.drain();
+  }
+
+  /**
+   * Claim and start jobs until the concurrency limit is reached or nothing
+   * runnable is left. Calls made while draining trigger one more pass;
+   * calls made before `start()` are ignored, since `start()` drains anyway.
+   */
+  async drain() {
+    if (!this.started) return;
+    if (this.draining) {
+      this.drainRequested = true;
+      return;
+    }
+
+    this.draining = true;
+    try {
+      do {
+        this.drainRequested = false;
+        while (this.running.size < DEPLOY_CONCURRENCY) {
+          const job = await this.claimNext();
+          if (!job) break;
+          this.run(job);
+        }
+      } while (this.drainRequested);
+    } catch (error) {
+      console.error('Deployment queue drain failed:', error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async claimNext() {
+    // Projects with queued work and nothing currently building
+    const candidates = await Project.find({
+      $and: [
+        { 'deployments.status': 'queued' },
+        { 'deployments.status': { $ne: 'deploying' } },
+      ],
+    });
+
+    const jobs = candidates
+      .map((project) => ({
+        project,
+        deployment: project.deployments.find((d) => d.status === 'queued'),
+      }))
+      .sort((a, b) => a.deployment.queuedAt - b.deployment.queuedAt);
+
+    for (const { project, deployment } of jobs) {
+      const claimed = await Project.findOneAndUpdate(
+        {
+          _id: project._id,
+          deployments: { $elemMatch: { _id: deployment._id, status: 'queued' } },
+          'deployments.status': { $ne: 'deploying' },
+        },
+        {
+          $set: {
+            'deployments.$[job].status': 'deploying',
+            'deployments.$[job].startedAt': new Date(),
+          },
+        },
+        {
+          arrayFilters: [{ 'job._id': deployment._id }],
+          new: true,
+        }
+      );
+
+      // Lost the race to another worker or a cancel; try the next project
+      if (claimed) {
+        return { project: claimed, deployment: claimed.deployments.id(deployment._id) };
+      }
+    }
+
+    return null;
+  }
+
+  async run({ project, deployment }) {
+    const controller = new AbortController();
+    this.running.set(String(deployment._id), controller);
+
+    try {
+      await this.worker(project, deployment, controller.signal);
+    } catch (error) {
+      console.error('Deployment job crashed:', error);
+    } finally {
+      this.running.delete(String(deployment._id));
+      this.drain();
+    }
+  }
+
+  /**
+   * Cancel a job. Running jobs are aborted (the worker records the outcome);
+   * queued jobs are marked `cancelled` directly. Returns false when the job is
+   * neither queued nor running in this process.
+   */
+  async cancel(projectId, deploymentId) {
+    const controller = this.running.get(String(deploymentId));
+    if (controller) {
+      controller.abort();
+      return true;
+    }
+
+    const result = await Project.updateOne(
+      {
+        _id: projectId,
+        deployments: { $elemMatch: { _id: deploymentId, status: 'queued' } },
+      },
+      {
+        $set: {
+          'deployments.$[job].status': 'cancelled',
+          'deployments.$[job].completedAt': new Date(),
+        },
+      },
+      { arrayFilters: [{ 'job._id': deploymentId }] }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+export const deploymentQueue = new DeploymentQueue();
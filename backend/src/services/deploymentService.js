@@ -1,16 +1,20 @@
 // deploymentService.js
 import simpleGit from 'simple-git';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
 import { promises as fs } from 'fs';
 import path from 'path';
-import { v4 as uuidv4 } from 'uuid';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import Project from '../models/Project.js';
+import DeploymentLog from '../models/DeploymentLog.js';
 import { s3Service } from './s3Service.js';
 import { dockerService } from './dockerService.js';
+import { frameworkService } from './frameworkService.js';
+import { buildCacheService } from './buildCacheService.js';
+import { nginxService } from './nginxService.js';
+import { deploymentQueue } from './deploymentQueue.js';
 import { io } from '../server.js';
-
-const execAsync = promisify(exec);
+import { decrypt, isEncrypted } from '../utils/encryption.js';
+import { redact } from '../utils/redact.js';
 
 // You can override these with environment variables if needed
 const BASE_DOMAIN = process.env.BASE_DOMAIN || 'gulamgaush.in';
@@ -18,12 +22,42 @@ const LE_FULLCHAIN = process.env.LE_FULLCHAIN || `/etc/letsencrypt/live/${BASE_D
 const LE_PRIVKEY  = process.env.LE_PRIVKEY  || `/etc/letsencrypt/live/${BASE_DOMAIN}-0001/privkey.pem`;
 const LE_OPTIONS   = process.env.LE_OPTIONS  || '/etc/letsencrypt/options-ssl-nginx.conf';
 const LE_DHPARAM   = process.env.LE_DHPARAM  || '/etc/letsencrypt/ssl-dhparams.pem';
+// S3 REST host the wildcard static server proxies to (nginx/sites-available/20-wildcard-static-s3.conf);
+// custom domains of static projects are proxied the same way
+const S3_STATIC_HOST = process.env.S3_STATIC_HOST
+  || `${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com`;
+
+// Number of static releases kept in S3 (the live one always included)
+const STATIC_RELEASE_RETENTION = parseInt(process.env.STATIC_RELEASE_RETENTION, 10) || 5;
+// Number of server images kept per project for rollback (the live one always included)
+const IMAGE_RETENTION = parseInt(process.env.IMAGE_RETENTION, 10) || 5;
+
+// Deployment output is written in batches: when this many lines are pending,
+// or when the oldest pending line has waited this long
+const LOG_BATCH_LINES = 100;
+const LOG_FLUSH_MS = 250;
+
+// What startup does with deployments a previous process left `deploying`: `fail` or `requeue`
+const DEPLOY_RECOVERY = process.env.DEPLOY_RECOVERY === 'requeue' ? 'requeue' : 'fail';
+
+// Limit on the clone behind POST /api/projects/detect; any URL can be submitted there
+const DETECT_TIMEOUT_SECONDS = 60;
+
+// Previews with no deployment activity for this long are torn down
+const PREVIEW_TTL_HOURS = parseInt(process.env.PREVIEW_TTL_HOURS, 10) || 72;
+const PREVIEW_SWEEP_INTERVAL = 15 * 60 * 1000;
+// Preview hosts are a single DNS label (`<slug>--<subDomain>`) so the wildcard certificate covers them
+const MAX_DNS_LABEL = 63;
 
 class DeploymentService {
   constructor() {
     this.tempDir = '/tmp/deployments';
+    this.activeDeployments = new Map(); // projectId → _id of the deployment being built
+    this.logSecrets = new Map(); // projectId → strings masked out of emitLog output
+    this.pendingLogs = new Map(); // deploymentId → { lines, timer } of log lines awaiting a write
     this.ensureTempDir();
     global.deploymentService = this; // Make service accessible to dockerService
+    deploymentQueue.process((project, deployment, signal) => this.deploy(project, deployment, signal));
   }
 
   async ensureTempDir() {
@@ -34,129 +68,930 @@ class DeploymentService {
     }
   }
 
-  async deploy(project) {
-    const deploymentId = project.name || uuidv4();
-    const projectPath = path.join(this.tempDir, deploymentId);
+  /**
+   * Host label a deployment is served under: the project's subdomain for
+   * production, `<slug>--<subDomain>` for a preview.
+   */
+  siteLabel(project, previewSlug) {
+    return previewSlug ? `${previewSlug}--${project.subDomain}` : project.subDomain;
+  }
+
+  siteHost(project, previewSlug) {
+    return `${this.siteLabel(project, previewSlug)}.${BASE_DOMAIN}`;
+  }
+
+  // Hosts this platform writes site configs for (not the wildcard or other sites)
+  isPlatformHost(host) {
+    return host.endsWith(`.${BASE_DOMAIN}`) && !host.startsWith('*.');
+  }
+
+  // Containers serving one site take turns; each deployment gets its own name
+  containerName(projectId, previewSlug) {
+    return previewSlug ? `project-${projectId}--${previewSlug}` : `project-${projectId}`;
+  }
+
+  deploymentContainerName(projectId, previewSlug, deploymentId) {
+    return `${this.containerName(projectId, previewSlug)}-${deploymentId}`;
+  }
 
+  deploymentImageName(projectId, deploymentId) {
+    return `project-${projectId}:${deploymentId}`;
+  }
+
+  /**
+   * Blue/green switch: point nginx at a new container that is already up and
+   * ready, then drain and remove the site's previous containers. If nginx
+   * can't be switched the new container is removed and the old one keeps
+   * serving. `domains` are the project's custom domains (production only).
+   */
+  async promoteContainer(projectId, { site, siteLabel, containerId, port, domains }) {
     try {
-      // Update project status
-      await this.updateProjectStatus(project._id, 'deploying');
-      this.emitLog(project._id, 'info', 'Starting deployment...');
+      await this.configureNginx(siteLabel, port, domains);
+    } catch (error) {
+      this.emitLog(projectId, 'warn', 'Traffic switch failed, previous container keeps serving');
+      await dockerService.stopContainer(containerId);
+      throw error;
+    }
+    this.emitLog(projectId, 'info', `Traffic switched to port ${port}`);
+
+    await dockerService.retireContainers(projectId, site, { keep: containerId });
+  }
+
+  /**
+   * DNS-safe slug for a branch, stable for the life of its preview. Branches
+   * that collide with another preview's slug or don't fit in the host label
+   * get a short hash suffix.
+   */
+  previewSlug(project, branch) {
+    const existing = project.previews?.find((p) => p.branch === branch);
+    if (existing) return existing.slug;
+
+    const maxLength = MAX_DNS_LABEL - `--${project.subDomain}`.length;
+    let slug = branch.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    const taken = project.previews?.some((p) => p.slug === slug);
+    if (!slug || taken || slug.length > maxLength) {
+      const hash = crypto.createHash('sha1').update(branch).digest('hex').slice(0, 6);
+      slug = `${slug.slice(0, maxLength - hash.length - 1).replace(/-$/, '')}-${hash}`.replace(/^-/, '');
+    }
+    return slug;
+  }
+
+  /**
+   * Create the preview entry for `branch` if needed and mark it active so the
+   * TTL sweeper leaves it alone. Returns its slug.
+   */
+  async registerPreview(project, branch, { pullRequest } = {}) {
+    const slug = this.previewSlug(project, branch);
+    const now = new Date();
+
+    const $set = { 'previews.$.lastActivityAt': now };
+    if (pullRequest) $set['previews.$.pullRequest'] = pullRequest;
+    const { matchedCount } = await Project.updateOne({ _id: project._id, 'previews.branch': branch }, { $set });
+
+    if (matchedCount === 0) {
+      await Project.updateOne(
+        { _id: project._id, 'previews.branch': { $ne: branch } },
+        {
+          $push: {
+            previews: {
+              branch,
+              slug,
+              pullRequest,
+              deployUrl: `https://${this.siteHost(project, slug)}`,
+              lastActivityAt: now,
+            },
+          },
+        }
+      );
+      this.emitPreviewUpdate(project._id, slug, 'created');
+    }
+    return slug;
+  }
+
+  /**
+   * Remove a preview: cancel its in-flight builds, delete its S3 files,
+   * container and nginx config, and drop it from the project.
+   */
+  async teardownPreview(project, slug, reason) {
+    const preview = project.previews.find((p) => p.slug === slug);
+    if (!preview) return false;
+
+    const inFlight = project.deployments.filter(
+      (d) => d.previewSlug === slug && ['queued', 'deploying'].includes(d.status)
+    );
+    for (const deployment of inFlight) {
+      await this.cancel(project, deployment);
+    }
+
+    await this.removePreviewArtifacts(project, slug);
+
+    // Nothing left to roll back to or serve
+    await Project.updateOne(
+      { _id: project._id },
+      {
+        $set: { 'deployments.$[built].prunedAt': new Date() },
+        $pull: { previews: { slug } },
+      },
+      { arrayFilters: [{ 'built.previewSlug': slug, 'built.prunedAt': null }] }
+    );
+    await Project.updateOne(
+      { _id: project._id },
+      { $set: { 'deployments.$[live].status': 'stopped' } },
+      { arrayFilters: [{ 'live.previewSlug': slug, 'live.status': 'running' }] }
+    );
+
+    this.emitLog(project._id, 'info', `Preview ${this.siteHost(project, slug)} removed (${reason})`);
+    this.emitPreviewUpdate(project._id, slug, 'removed');
+    return true;
+  }
+
+  // Best effort: every step runs even if an earlier one fails
+  async removePreviewArtifacts(project, slug) {
+    const site = this.siteLabel(project, slug);
+    const host = this.siteHost(project, slug);
+    const buildTypes = new Set(
+      project.deployments.filter((d) => d.previewSlug === slug).map((d) => d.buildType)
+    );
+
+    const steps = [];
+    if (buildTypes.has('static')) {
+      steps.push(
+        () => s3Service.deleteFiles(`projects/${site}/`),
+        () => nginxService.removeStaticRelease(host)
+      );
+    }
+    if (buildTypes.has('server')) {
+      const images = project.deployments
+        .filter((d) => d.previewSlug === slug && d.buildType === 'server')
+        .map((d) => this.deploymentImageName(project._id, d._id));
+      steps.push(
+        () => dockerService.retireContainers(project._id, this.containerName(project._id, slug)),
+        () => nginxService.removeSite(host),
+        // Once no container runs them
+        async () => {
+          for (const image of images) await dockerService.removeImage(image);
+        }
+      );
+    }
+
+    for (const step of steps) {
+      await step().catch((error) => console.error(`Failed to clean up preview ${host}:`, error));
+    }
+  }
+
+  /**
+   * Periodically tear down previews that have seen no deployment for
+   * PREVIEW_TTL_HOURS. Previews with a build queued or running are skipped.
+   */
+  startPreviewSweeper() {
+    const sweep = () =>
+      this.sweepExpiredPreviews().catch((error) => console.error('Preview sweep failed:', error));
+    setInterval(sweep, PREVIEW_SWEEP_INTERVAL).unref();
+    return sweep();
+  }
+
+  async sweepExpiredPreviews() {
+    const cutoff = new Date(Date.now() - PREVIEW_TTL_HOURS * 60 * 60 * 1000);
+    const projects = await Project.find({ 'previews.lastActivityAt': { $lt: cutoff } });
+
+    for (const project of projects) {
+      const expired = project.previews.filter((p) => p.lastActivityAt < cutoff);
+      for (const preview of expired) {
+        const busy = project.deployments.some(
+          (d) => d.previewSlug === preview.slug && ['queued', 'deploying'].includes(d.status)
+        );
+        if (!busy) await this.teardownPreview(project, preview.slug, `inactive for ${PREVIEW_TTL_HOURS}h`);
+      }
+    }
+  }
+
+  /**
+   * Run once at startup, before the queue: a build lives only in the process
+   * that ran it, so deployments a previous process left `deploying` are
+   * failed (or queued again with DEPLOY_RECOVERY=requeue), and their
+   * checkouts, containers and images are removed. A server release that had
+   * already switched traffic is kept instead. Assumes one backend per Docker
+   * host, like the temp directory it clears.
+   */
+  async recoverInterruptedDeployments() {
+    const bootedAt = new Date();
+    const projects = await Project.find({
+      $or: [{ status: 'deploying' }, { 'deployments.status': 'deploying' }],
+    });
+
+    for (const project of projects) {
+      let productionOutcome = null;
+      for (const deployment of project.deployments.filter((d) => d.status === 'deploying')) {
+        try {
+          const outcome = await this.recoverDeployment(project, deployment);
+          if (!deployment.previewSlug) productionOutcome = outcome;
+          console.log(`Recovered interrupted deployment ${deployment._id} of project ${project._id}: ${outcome}`);
+        } catch (error) {
+          console.error(`Failed to recover deployment ${deployment._id}:`, error);
+        }
+      }
+
+      // As in deploy(): a release that was live before the interrupted one still serves
+      if (project.status === 'deploying' || productionOutcome) {
+        const { activeDeployment } = await Project.findById(project._id).select('activeDeployment');
+        const fallback = productionOutcome === 'failed' ? 'failed' : 'idle';
+        await this.updateProjectStatus(project._id, activeDeployment ? 'running' : fallback);
+      }
+    }
+
+    await this.removeStaleBuilders();
+    await this.removeStaleTempFiles(bootedAt);
+  }
+
+  // Resolves to what became of the deployment: `adopted`, `failed` or `queued`
+  async recoverDeployment(project, deployment) {
+    if (deployment.buildType === 'server') {
+      if (await this.adoptInterruptedRelease(project, deployment)) return 'adopted';
+      await this.discardRelease(project, deployment);
+    }
+
+    const requeue = DEPLOY_RECOVERY === 'requeue';
+    const $set = requeue
+      // Steps start over with the new attempt; the logs keep the interrupted one
+      ? { 'deployments.$[deployment].status': 'queued', 'deployments.$[deployment].steps': [] }
+      : { 'deployments.$[deployment].status': 'failed', 'deployments.$[deployment].completedAt': new Date() };
+
+    const { modifiedCount } = await Project.updateOne(
+      { _id: project._id, deployments: { $elemMatch: { _id: deployment._id, status: 'deploying' } } },
+      {
+        $set,
+        ...(requeue && { $unset: { 'deployments.$[deployment].startedAt': '' } }),
+      },
+      { arrayFilters: [{ 'deployment._id': deployment._id }] }
+    );
+    if (modifiedCount > 0) {
+      await DeploymentLog.create({
+        project: project._id,
+        deployment: deployment._id,
+        level: requeue ? 'warn' : 'error',
+        message: requeue
+          ? 'Deployment interrupted by a backend restart; queued to run again'
+          : 'Deployment interrupted by a backend restart',
+      });
+    }
+    this.emitDeploymentUpdate(project._id, deployment, requeue ? 'queued' : 'failed');
+    return requeue ? 'queued' : 'failed';
+  }
+
+  /**
+   * promoteContainer removes the site's previous container only after nginx
+   * points at the new one, so if the recorded live container is gone, the
+   * interrupted deployment's container is what serves the site: record it.
+   */
+  async adoptInterruptedRelease(project, deployment) {
+    const { previewSlug } = deployment;
+    const liveContainerId = previewSlug
+      ? project.previews.find((p) => p.slug === previewSlug)?.containerId
+      : project.containerId;
+    if (!liveContainerId || await dockerService.containerExists(liveContainerId)) return false;
+
+    const container = await dockerService.findContainerByName(
+      this.deploymentContainerName(project._id, previewSlug, deployment._id)
+    );
+    if (container?.State !== 'running') return false;
+
+    const artifact = {
+      deployUrl: `https://${this.siteHost(project, previewSlug)}`,
+      imageName: this.deploymentImageName(project._id, deployment._id),
+      containerId: container.Id,
+      port: Number(container.Labels['deployflow.port']),
+    };
+    // Reinstalled in case the restart cut the switch short of the reload
+    await this.configureNginx(this.siteLabel(project, previewSlug), artifact.port, previewSlug ? [] : project.domains);
+    await this.updateDeployment(project._id, deployment._id, { ...artifact, completedAt: new Date() });
+    await this.activateDeployment(project._id, deployment._id, artifact, previewSlug);
+    await DeploymentLog.create({
+      project: project._id,
+      deployment: deployment._id,
+      level: 'warn',
+      message: 'Deployment interrupted by a backend restart after traffic switched to it; kept live',
+    });
+    this.emitDeploymentUpdate(project._id, deployment, 'running');
+    return true;
+  }
+
+  // The half-started container and the image, if the build got that far
+  async discardRelease(project, deployment) {
+    const container = await dockerService.findContainerByName(
+      this.deploymentContainerName(project._id, deployment.previewSlug, deployment._id)
+    );
+    if (container) await dockerService.stopContainer(container.Id);
+    await dockerService.removeImage(this.deploymentImageName(project._id, deployment._id));
+  }
+
+  // Static build containers; nothing is building before the queue starts
+  async removeStaleBuilders() {
+    const containers = await dockerService.listProjectContainers();
+    for (const container of containers) {
+      if (container.Labels['deployflow.role'] === 'builder') await dockerService.stopContainer(container.Id);
+    }
+  }
+
+  // Checkouts, build output and deploy keys written before this process started
+  async removeStaleTempFiles(before) {
+    const entries = await fs.readdir(this.tempDir).catch(() => []);
+    for (const entry of entries) {
+      if (entry === 'known_hosts') continue;
+      const entryPath = path.join(this.tempDir, entry);
+      const stats = await fs.stat(entryPath).catch(() => null);
+      if (stats && stats.mtime < before) await this.cleanupTemp(entryPath);
+    }
+  }
+
+  /**
+   * Queue a deployment for the project. The queue starts it once the project
+   * has nothing else building and a worker slot is free. Passing
+   * `previewBranch` deploys to that branch's preview host instead of production.
+   */
+  async enqueue(project, { trigger = 'manual', ref, previewBranch, pullRequest } = {}) {
+    const previewSlug = previewBranch
+      ? await this.registerPreview(project, previewBranch, { pullRequest })
+      : undefined;
+
+    const deployment = await this.createDeployment(project._id, {
+      trigger,
+      ref: ref || previewBranch || project.productionBranch || undefined,
+      environment: previewSlug ? 'preview' : 'production',
+      previewSlug,
+      buildType: project.buildType || 'static',
+    });
+
+    this.emitDeploymentUpdate(project._id, deployment);
+    deploymentQueue.drain();
+    return deployment;
+  }
+
+  /**
+   * Cancel a queued or running deployment. Returns false when there was
+   * nothing to cancel.
+   */
+  async cancel(project, deployment) {
+    const cancelled = await deploymentQueue.cancel(project._id, deployment._id);
+
+    // Running jobs report their own outcome once the build has been killed
+    if (cancelled && deployment.status === 'queued') {
+      this.emitDeploymentUpdate(project._id, deployment, 'cancelled');
+    }
+    return cancelled;
+  }
+
+  /**
+   * Queue worker: build and release a deployment claimed from the queue.
+   * Aborting `signal` kills whatever step is running and records the
+   * deployment as `cancelled`.
+   */
+  async deploy(project, deployment, signal) {
+    const { buildType, previewSlug } = deployment;
+    const deploymentId = deployment._id;
+    const projectPath = path.join(this.tempDir, String(deploymentId));
+    const outputDir = `${projectPath}-output`; // static build output, copied out of the builder
+
+    // Route emitLog output for this project into the deployment record
+    this.activeDeployments.set(String(project._id), deploymentId);
+    let serving = false; // traffic has been switched to the new server container
+
+    try {
+      // Previews never change the production status
+      if (!previewSlug) await this.updateProjectStatus(project._id, 'deploying');
+      this.emitDeploymentUpdate(project._id, deployment, 'deploying');
+      this.emitLog(
+        project._id,
+        'info',
+        previewSlug
+          ? `Starting preview deployment #${deployment.version} for ${this.siteHost(project, previewSlug)}...`
+          : `Starting deployment #${deployment.version}...`
+      );
 
       // Clone repository
-      await this.cloneRepository(project.githubRepo, projectPath, project._id);
+      const credentials = await this.getGitCredentials(project._id);
+      // Longest first, so a secret containing another is masked whole
+      this.logSecrets.set(String(project._id), [
+        ...this.getCredentialSecrets(credentials),
+        ...Object.values(this.getEnvVars(project)),
+      ].sort((a, b) => b.length - a.length));
+      const commit = await this.cloneRepository(project.githubRepo, projectPath, project._id, {
+        ref: deployment.ref,
+        signal,
+        credentials,
+      });
+      await this.updateDeployment(project._id, deploymentId, {
+        commitSha: commit.sha,
+        commitMessage: commit.message,
+        commitAuthor: commit.author,
+      });
 
-      // Use the build type specified by the user
-      const buildType = project.buildType || 'static';
+      // Use the build type specified by the user; detection only informs
+      await this.detectFramework(projectPath, project, deploymentId);
       this.emitLog(project._id, 'info', `Deploying as ${buildType} application`);
 
-      let deployUrl, s3Path, containerId, port;
+      let artifact;
 
       if (buildType === 'static') {
         // Static deployment: build and upload to S3
-        await this.buildStaticProject(projectPath, project._id, project);
-        const result = await this.deployStatic(projectPath, project._id, project);
-        deployUrl = result.deployUrl;
-        s3Path = result.s3Path;
+        await this.buildStaticProject(projectPath, outputDir, project._id, project, deploymentId, signal);
+        signal.throwIfAborted();
+        artifact = await this.deployStatic(outputDir, project._id, project, deploymentId, { previewSlug, signal });
         this.emitLog(project._id, 'success', 'Static site deployed successfully');
       } else {
         // Server app → Docker container + Nginx mapping
-        const result = await this.deployServer(projectPath, project._id, project);
-        deployUrl = result.deployUrl;
-        containerId = result.containerId;
-        port = result.port;
+        artifact = await this.deployServer(projectPath, project._id, project, deploymentId, { previewSlug, signal });
+        serving = true;
         this.emitLog(project._id, 'success', 'Server application deployed successfully');
       }
 
-      // Update project with deployment info
-      await this.updateProjectDeployment(project._id, {
-        status: 'running',
-        deployUrl,
-        s3Path,
-        containerId,
-        buildType,
-        port,
+      // Record where the artifact lives, then make it the live deployment
+      await this.updateDeployment(project._id, deploymentId, {
+        ...artifact,
         completedAt: new Date(),
       });
+      await this.activateDeployment(project._id, deploymentId, artifact, previewSlug);
+      this.emitDeploymentUpdate(project._id, deployment, 'running');
 
-      this.emitLog(project._id, 'success', `Deployment complete! Available at ${deployUrl}`);
-      await this.updateProjectStatus(project._id, 'running');
+      this.emitLog(project._id, 'success', `Deployment complete! Available at ${artifact.deployUrl}`);
+      if (!previewSlug) await this.updateProjectStatus(project._id, 'running');
+
+      if (buildType === 'static') await this.pruneStaticReleases(project._id, previewSlug);
+      if (buildType === 'server') await this.pruneServerImages(project._id, previewSlug);
     } catch (error) {
-      console.error('Deployment failed:', error);
-      await this.updateProjectStatus(project._id, 'failed');
-      this.emitLog(project._id, 'error', `Deployment failed: ${error.message}`);
+      const status = signal.aborted ? 'cancelled' : 'failed';
+      // A server build that never went live leaves nothing worth keeping
+      const discarded = buildType === 'server' && !serving && await this.discardRelease(project, deployment).then(
+        () => true,
+        (discardError) => {
+          console.error(`Failed to discard deployment ${deploymentId}:`, discardError);
+          return false;
+        }
+      );
+      await this.updateDeployment(project._id, deploymentId, {
+        status,
+        completedAt: new Date(),
+        ...(discarded && { prunedAt: new Date() }),
+      });
+      this.emitDeploymentUpdate(project._id, deployment, status);
+
+      // Whatever was live before keeps serving; the failure stays on the deployment record
+      if (!previewSlug) {
+        const { activeDeployment } = await Project.findById(project._id).select('activeDeployment');
+        const fallback = status === 'cancelled' ? 'idle' : 'failed';
+        await this.updateProjectStatus(project._id, activeDeployment ? 'running' : fallback);
+      }
+      if (status === 'cancelled') {
+        this.emitLog(project._id, 'warn', 'Deployment cancelled');
+      } else {
+        console.error('Deployment failed:', error);
+        this.emitLog(project._id, 'error', `Deployment failed: ${error.message}`);
+      }
     } finally {
+      this.activeDeployments.delete(String(project._id));
+      this.logSecrets.delete(String(project._id));
+      await this.flushLogs(deploymentId);
       await this.cleanupTemp(projectPath);
+      await this.cleanupTemp(outputDir);
+    }
+  }
+
+  /**
+   * Re-point the project at a previously built deployment without rebuilding.
+   * Static sites switch the nginx release pointer back to the old S3 prefix;
+   * server apps get a fresh container from the deployment's image. The caller
+   * is responsible for checking the deployment is eligible.
+   */
+  async rollback(project, deployment) {
+    this.emitLog(project._id, 'info', `Rolling back to deployment #${deployment.version}...`);
+
+    try {
+      const artifact = { deployUrl: deployment.deployUrl };
+
+      if (deployment.buildType === 'static') {
+        await this.publishStaticRelease(project, deployment.s3Path);
+      } else {
+        const site = this.containerName(project._id);
+        const result = await dockerService.redeployImage(
+          deployment.imageName,
+          project._id,
+          this.getEnvVars(project, 'runtime'),
+          {
+            site,
+            containerName: this.deploymentContainerName(project._id, null, deployment._id),
+            containerPort: deployment.containerPort,
+            startCommand: deployment.startCommand,
+            healthCheck: project.healthCheck,
+            resources: project.resources,
+          }
+        );
+        await this.promoteContainer(project._id, {
+          site,
+          siteLabel: project.subDomain,
+          containerId: result.containerId,
+          port: result.port,
+          domains: project.domains,
+        });
+        artifact.containerId = result.containerId;
+        // The health monitor probes the live deployment's port
+        await this.updateDeployment(project._id, deployment._id, {
+          containerId: result.containerId,
+          port: result.port,
+        });
+      }
+
+      await this.activateDeployment(project._id, deployment._id, artifact);
+
+      this.emitLog(project._id, 'success', `Rolled back to deployment #${deployment.version}`);
+      await this.updateProjectStatus(project._id, 'running');
+    } catch (error) {
+      this.emitLog(project._id, 'error', `Rollback failed: ${error.message}`);
+      throw error;
     }
   }
 
-  async cloneRepository(repoUrl, targetPath, projectId) {
+  /**
+   * Stop the live production container in place. It keeps its image, host
+   * port and nginx mapping, so startServer brings it back without a rebuild.
+   */
+  async stopServer(project) {
+    this.emitLog(project._id, 'info', 'Stopping container...');
+    await dockerService.haltContainer(project.containerId);
+    await this.updateProjectStatus(project._id, 'stopped');
+    this.emitLog(project._id, 'success', 'Container stopped');
+  }
+
+  async startServer(project) {
+    this.emitLog(project._id, 'info', 'Starting container...');
+    await this.runServerAction(project, (options) =>
+      dockerService.startContainer(project.containerId, project._id, options));
+    this.emitLog(project._id, 'success', 'Container started');
+  }
+
+  async restartServer(project) {
+    this.emitLog(project._id, 'info', 'Restarting container...');
+    await this.runServerAction(project, (options) =>
+      dockerService.restartContainer(project.containerId, project._id, options));
+    this.emitLog(project._id, 'success', 'Container restarted');
+  }
+
+  // Start or restart, then report the container's actual state if it never got ready
+  async runServerAction(project, action) {
+    const port = project.deployments.id(project.activeDeployment)?.port;
+    try {
+      await action({ hostPort: port, healthCheck: project.healthCheck });
+      await this.updateProjectStatus(project._id, 'running');
+    } catch (error) {
+      const state = await dockerService.getContainerStatus(project.containerId);
+      await this.updateProjectStatus(project._id, state.running ? 'unhealthy' : 'stopped');
+      this.emitLog(project._id, 'error', `Container did not become ready: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Clone the repo and check out `ref` (branch, tag or commit SHA; the default
+   * branch when omitted). Returns the resolved commit. `credentials` comes from
+   * getGitCredentials; secrets are passed to git through its environment and
+   * never appear on the command line.
+   */
+  async cloneRepository(repoUrl, targetPath, projectId, {
+    ref,
+    signal,
+    credentials = { type: 'none' },
+    shallow = false, // latest commit of `ref` only; `ref` must then be a branch or tag
+  } = {}) {
     this.emitLog(projectId, 'info', `Cloning repository from ${repoUrl}...`);
-    const git = simpleGit();
-    await git.clone(repoUrl, targetPath);
-    this.emitLog(projectId, 'success', 'Repository cloned successfully');
+
+    // Minimal environment: host git settings (GIT_EDITOR, GIT_DIR, ...) don't leak in
+    const env = { PATH: process.env.PATH, HOME: process.env.HOME, GIT_TERMINAL_PROMPT: '0' };
+    let cloneUrl = repoUrl;
+    let keyPath;
+
+    if (credentials.type === 'token') {
+      this.emitLog(projectId, 'info', 'Authenticating with access token');
+      Object.assign(env, {
+        GIT_CONFIG_COUNT: '1',
+        GIT_CONFIG_KEY_0: 'http.extraHeader',
+        GIT_CONFIG_VALUE_0: `Authorization: Basic ${this.basicAuth(credentials.token)}`,
+      });
+    } else if (credentials.type === 'ssh') {
+      this.emitLog(projectId, 'info', 'Authenticating with deploy key');
+      cloneUrl = this.toSshUrl(repoUrl);
+      // Next to the checkout rather than inside it, so builds can't read it
+      keyPath = `${targetPath}.key`;
+      await fs.writeFile(keyPath, credentials.privateKey, { mode: 0o600 });
+      env.GIT_SSH_COMMAND = [
+        'ssh',
+        `-i ${keyPath}`,
+        '-o IdentitiesOnly=yes',
+        '-o StrictHostKeyChecking=accept-new',
+        `-o UserKnownHostsFile=${path.join(this.tempDir, 'known_hosts')}`,
+      ].join(' ');
+    }
+
+    try {
+      const git = simpleGit({
+        abort: signal,
+        unsafe: { allowUnsafeSshCommand: true, allowUnsafeConfigEnvCount: true },
+      }).env(env);
+      const options = shallow ? ['--depth', '1', ...(ref ? ['--branch', ref] : [])] : [];
+      await git.clone(cloneUrl, targetPath, options);
+    } finally {
+      if (keyPath) await fs.rm(keyPath, { force: true });
+    }
+
+    const repo = simpleGit({ baseDir: targetPath, abort: signal });
+    if (ref && !shallow) {
+      this.emitLog(projectId, 'info', `Checking out ${ref}...`);
+      try {
+        await repo.checkout(ref);
+      } catch (error) {
+        throw new Error(`Could not check out "${ref}": ${error.message}`);
+      }
+    }
+
+    const { latest } = await repo.log({ maxCount: 1 });
+    const commit = {
+      sha: latest.hash,
+      message: latest.message,
+      author: `${latest.author_name} <${latest.author_email}>`,
+    };
+
+    this.emitLog(projectId, 'success', `Repository cloned successfully (${commit.sha.slice(0, 7)}: ${commit.message})`);
+    return commit;
+  }
+
+  /**
+   * Decrypted clone credentials for a project: `{ type: 'none' }`,
+   * `{ type: 'token', token }` or `{ type: 'ssh', privateKey }`.
+   */
+  async getGitCredentials(projectId) {
+    const { gitCredentials } = await Project.findById(projectId)
+      .select('+gitCredentials.sshPrivateKey +gitCredentials.token');
+
+    switch (gitCredentials?.type) {
+      case 'token':
+        return { type: 'token', token: decrypt(gitCredentials.token) };
+      case 'ssh':
+        return { type: 'ssh', privateKey: decrypt(gitCredentials.sshPrivateKey) };
+      default:
+        return { type: 'none' };
+    }
+  }
+
+  // Every form in which a credential could end up in command output
+  getCredentialSecrets(credentials) {
+    if (credentials.type === 'token') {
+      return [credentials.token, this.basicAuth(credentials.token)];
+    }
+    if (credentials.type === 'ssh') {
+      return credentials.privateKey.split('\n').filter((line) => line && !line.startsWith('-----'));
+    }
+    return [];
+  }
+
+  // GitHub and GitLab accept a token as the password with any username
+  basicAuth(token) {
+    return Buffer.from(`x-access-token:${token}`).toString('base64');
+  }
+
+  // "https://github.com/owner/repo" → "git@github.com:owner/repo.git"; SSH URLs pass through
+  toSshUrl(repoUrl) {
+    const match = repoUrl.match(/^https?:\/\/(?:[^@/]+@)?([^/:]+)\/(.+?)(?:\.git)?\/?$/);
+    return match ? `git@${match[1]}:${match[2]}.git` : repoUrl;
+  }
+
+  /**
+   * Propose build settings for a repository that isn't a project yet: shallow
+   * clone `ref` (a branch or tag; default branch if empty), inspect
+   * `rootDirectory` and clean up. Credentials aren't available before the
+   * project exists, so only public repositories can be inspected. Clones
+   * taking longer than DETECT_TIMEOUT_SECONDS are abandoned.
+   */
+  async detectRepository(repoUrl, { ref, rootDirectory = '.' } = {}) {
+    const checkoutPath = path.join(this.tempDir, `detect-${crypto.randomUUID()}`);
+    const signal = AbortSignal.timeout(DETECT_TIMEOUT_SECONDS * 1000);
+    try {
+      await this.cloneRepository(repoUrl, checkoutPath, null, { ref, shallow: true, signal }).catch((error) => {
+        throw signal.aborted ? new Error(`Clone timed out after ${DETECT_TIMEOUT_SECONDS} seconds`) : error;
+      });
+      return await frameworkService.detect(path.join(checkoutPath, rootDirectory));
+    } finally {
+      await this.cleanupTemp(checkoutPath);
+    }
   }
 
-  async buildStaticProject(projectPath, projectId, project) {
-    const { rootDirectory, buildCommand } = project.buildConfig;
+  // Log what the checkout looks like and flag settings that disagree with it
+  async detectFramework(projectPath, project, deploymentId) {
+    const { rootDirectory } = project.buildConfig;
+    const detected = await frameworkService.detect(path.join(projectPath, rootDirectory));
+    await this.updateDeployment(project._id, deploymentId, { framework: detected.framework });
+
+    if (detected.framework === 'unknown') {
+      this.emitLog(project._id, 'info', 'No known framework detected');
+      return detected;
+    }
+
+    this.emitLog(
+      project._id,
+      'info',
+      `Detected ${detected.name}${detected.packageManager ? ` (${detected.packageManager})` : ''}`
+    );
+    if (detected.buildType !== project.buildType) {
+      this.emitLog(
+        project._id,
+        'warn',
+        `${detected.name} projects usually deploy as ${detected.buildType}, but this project is set to ${project.buildType}`
+      );
+    }
+    return detected;
+  }
+
+  /**
+   * Install dependencies and run the build command in sandboxed builder
+   * containers (see DockerService.runBuildStep), then copy the publish
+   * directory out to `outputDir`.
+   */
+  async buildStaticProject(projectPath, outputDir, projectId, project, deploymentId, signal) {
+    const { rootDirectory, buildCommand, publishDirectory } = project.buildConfig;
     const workingDir = path.join(projectPath, rootDirectory);
+    const install = await frameworkService.installPlan(workingDir, project.buildConfig.installCommand);
+
+    // Only the project's build-time variables; nothing from the backend's environment
+    const buildVars = this.getEnvVars(project, 'build');
+    const step = {
+      projectId,
+      workspace: projectPath,
+      workingDir: rootDirectory,
+      setup: install.builderSetup,
+      env: { CI: 'true', ...buildVars },
+      signal,
+    };
 
     this.emitLog(projectId, 'info', `Working in directory: ${rootDirectory}`);
-    this.emitLog(projectId, 'info', 'Installing dependencies...');
+    this.emitLog(projectId, 'info', `Build environment variables: ${Object.keys(buildVars).length}`);
+    const cache = await this.restoreBuildCache(projectId, workingDir, install);
+    const installCommand = cache.hit ? install.cachedCommand : install.command;
+    this.emitLog(projectId, 'info', `Installing dependencies with ${install.packageManager}: ${installCommand}`);
 
     try {
-      await execAsync('npm install', { cwd: workingDir });
+      await this.runStep(deploymentId, 'install', { ...step, command: installCommand });
       this.emitLog(projectId, 'success', 'Dependencies installed');
       this.emitLog(projectId, 'info', `Running build command: ${buildCommand}`);
-      await execAsync(buildCommand, { cwd: workingDir });
+      await this.runStep(deploymentId, 'build', {
+        ...step,
+        command: buildCommand,
+        output: { path: publishDirectory, destDir: outputDir },
+      });
       this.emitLog(projectId, 'success', 'Static build completed successfully');
     } catch (error) {
       throw new Error(`Static build failed: ${error.message}`);
     }
+
+    const saved = await buildCacheService.save(projectId, workingDir, cache.key);
+    if (saved.length > 0) this.emitLog(projectId, 'info', `Build cache updated: ${saved.join(', ')}`);
   }
 
-  async deployStatic(projectPath, projectId, project) {
+  // A cache that can't be restored just means a cold install
+  async restoreBuildCache(projectId, workingDir, install) {
+    try {
+      const cache = await buildCacheService.restore(projectId, workingDir, install);
+      this.emitLog(
+        projectId,
+        'info',
+        cache.hit
+          ? `Build cache hit: node_modules (${install.lockfile || 'package.json'} ${cache.key})`
+          : `Build cache miss: node_modules${cache.key ? ` (${install.lockfile || 'package.json'} ${cache.key})` : ''}`
+      );
+      if (cache.frameworkCaches.length > 0) {
+        this.emitLog(projectId, 'info', `Build cache restored: ${cache.frameworkCaches.join(', ')}`);
+      }
+      return cache;
+    } catch (error) {
+      this.emitLog(projectId, 'warn', `Build cache could not be restored: ${error.message}`);
+      return { key: null, hit: false, frameworkCaches: [] };
+    }
+  }
+
+  /**
+   * Run a build step (see DockerService.runBuildStep) and record its outcome,
+   * exit code and duration in the deployment's `steps`.
+   */
+  async runStep(deploymentId, name, options) {
+    const { projectId, command, signal } = options;
+    const startedAt = new Date();
+    const step = { name, command, startedAt, status: 'succeeded' };
+
+    try {
+      step.exitCode = await dockerService.runBuildStep(options);
+    } catch (error) {
+      step.exitCode = error.exitCode;
+      step.status = signal?.aborted ? 'cancelled' : error.timedOut ? 'timed_out' : 'failed';
+      throw error;
+    } finally {
+      step.durationMs = Date.now() - startedAt.getTime();
+      this.emitLog(
+        projectId,
+        step.status === 'succeeded' ? 'info' : 'error',
+        `Step ${name} ${step.status.replace('_', ' ')} in ${(step.durationMs / 1000).toFixed(1)}s`
+          + (step.exitCode === undefined ? '' : ` (exit code ${step.exitCode})`)
+      );
+      await this.recordStep(projectId, deploymentId, step);
+    }
+  }
+
+  async recordStep(projectId, deploymentId, step) {
+    try {
+      await Project.updateOne(
+        { _id: projectId },
+        { $push: { 'deployments.$[deployment].steps': step } },
+        { arrayFilters: [{ 'deployment._id': deploymentId }] }
+      );
+    } catch (error) {
+      console.error('Failed to record build step:', error);
+    }
+  }
+
+  async deployStatic(distPath, projectId, project, deploymentId, { previewSlug, signal } = {}) {
     this.emitLog(projectId, 'info', 'Uploading static files to S3...');
 
-    const { rootDirectory, publishDirectory } = project.buildConfig;
-    const workingDir = path.join(projectPath, rootDirectory);
-    const distPath = path.join(workingDir, publishDirectory);
-    const s3Path = `projects/${project.subDomain}`;
+    // Every build gets its own prefix; nothing is served from it until the upload is complete
+    const s3Path = `projects/${this.siteLabel(project, previewSlug)}/${deploymentId}`;
 
     try {
-      // Check if build directory exists
-      await fs.access(distPath);
       await s3Service.uploadStaticSite(distPath, s3Path);
       this.emitLog(projectId, 'success', 'Static files uploaded to S3');
-      const deployUrl = `https://${project.subDomain}.${BASE_DOMAIN || 'gulamgaush.in'}`;
+      signal?.throwIfAborted();
+
+      await this.publishStaticRelease(project, s3Path, previewSlug);
+      const deployUrl = `https://${this.siteHost(project, previewSlug)}`;
       return { deployUrl, s3Path };
     } catch (error) {
       throw new Error(`Static deployment failed: ${error.message}`);
     }
   }
 
-  async deployServer(projectPath, projectId, project) {
+  async deployServer(projectPath, projectId, project, deploymentId, { previewSlug, signal } = {}) {
     this.emitLog(projectId, 'info', 'Building Docker container for server deployment...');
 
     try {
-      // Prepare env vars
-      const envVars = {};
-      if (project.envVars instanceof Map) {
-        for (let [key, value] of project.envVars) envVars[key] = value;
-      } else if (project.envVars && typeof project.envVars === 'object') {
-        Object.assign(envVars, project.envVars);
-      }
+      const envVars = this.getEnvVars(project, 'runtime');
+      const buildArgs = this.getEnvVars(project, 'build');
+      this.emitLog(
+        projectId,
+        'info',
+        `Environment variables configured: ${Object.keys(envVars).length} runtime, ${Object.keys(buildArgs).length} build`
+      );
 
-      this.emitLog(projectId, 'info', `Environment variables configured: ${Object.keys(envVars).length} variables`);
+      // The root directory is the build context; the Dockerfile path is relative to it
+      const { rootDirectory, installCommand, dockerfilePath, containerPort, startCommand } = project.buildConfig;
+      const contextPath = path.join(projectPath, rootDirectory);
+      const install = await frameworkService.installPlan(contextPath, installCommand);
+      const { template, dockerfile } = await dockerService.ensureDockerfile(
+        contextPath,
+        projectId,
+        Object.keys(buildArgs),
+        { install, dockerfile: dockerfilePath, containerPort }
+      );
+      // Recorded before the build so failed builds can be inspected (and rolled back to) as built
+      await this.updateDeployment(projectId, deploymentId, {
+        dockerfileTemplate: template,
+        dockerfile,
+        containerPort,
+        startCommand: startCommand || undefined,
+      });
+      if (startCommand) this.emitLog(projectId, 'info', `Start command: ${startCommand}`);
 
-      const result = await dockerService.buildAndDeploy(projectPath, projectId, envVars);
-      const deployUrl = `https://${project.subDomain}.${BASE_DOMAIN}`;
+      // Tag images per deployment so older builds stay available for rollback
+      const imageName = this.deploymentImageName(projectId, deploymentId);
+      const site = this.containerName(projectId, previewSlug);
+      const result = await dockerService.buildAndDeploy(contextPath, projectId, envVars, {
+        imageName,
+        site,
+        containerName: this.deploymentContainerName(projectId, previewSlug, deploymentId),
+        buildArgs,
+        dockerfile: dockerfilePath,
+        containerPort,
+        startCommand,
+        healthCheck: project.healthCheck,
+        resources: project.resources,
+        signal,
+      });
+      const deployUrl = `https://${this.siteHost(project, previewSlug)}`;
 
-      // Write exact Nginx 80->443 + 443 proxy config
-      await this.configureNginx(project.subDomain, result.port);
+      // The previous container serves until nginx points at the new one
+      await this.promoteContainer(projectId, {
+        site,
+        siteLabel: this.siteLabel(project, previewSlug),
+        containerId: result.containerId,
+        port: result.port,
+        domains: previewSlug ? [] : project.domains,
+      });
 
       return {
         deployUrl,
+        imageName,
         containerId: result.containerId,
         port: result.port,
       };
@@ -169,15 +1004,13 @@ class DeploymentService {
    * Create an exact server_name config for this subdomain with:
    * - HTTP (80) redirect → HTTPS
    * - HTTPS (443) proxy → 127.0.0.1:<port>
+   * - the same proxy on each active custom domain in `domains`
    *
-   * Writes to /tmp first, then sudo mv → /etc/nginx/sites-available, ln -sf to sites-enabled,
-   * nginx -t, and reload.
+   * Installed through nginxService (sites-available + sites-enabled, nginx -t, reload).
    */
-  async configureNginx(subDomain, port) {
+  async configureNginx(subDomain, port, domains = []) {
     const serverName = `${subDomain}.${BASE_DOMAIN}`;
-    const tmpPath     = `/tmp/${serverName}.conf`;
-    const availPath   = `/etc/nginx/sites-available/${serverName}.conf`;
-    const enabledPath = `/etc/nginx/sites-enabled/${serverName}.conf`;
+    const upstream = `http://127.0.0.1:${port}`;
 
     const nginxConfig = `
 # Exact site for ${serverName}
@@ -197,9 +1030,24 @@ server {
     ssl_certificate_key ${LE_PRIVKEY};
     include ${LE_OPTIONS};
     ssl_dhparam ${LE_DHPARAM};
+${this.proxyLocation(upstream)}
+}
+${this.customDomainServers(domains, this.proxyLocation(upstream))}`.trimStart();
 
+    try {
+      await nginxService.installSite(serverName, nginxConfig);
+
+      this.emitLog(subDomain, 'success', `Nginx configured for ${serverName} → 127.0.0.1:${port}`);
+    } catch (error) {
+      this.emitLog(subDomain, 'error', `Failed to configure Nginx: ${error.message}`);
+      throw error;
+    }
+  }
+
+  proxyLocation(upstream) {
+    return `
     location / {
-        proxy_pass http://127.0.0.1:${port};
+        proxy_pass ${upstream};
         proxy_http_version 1.1;
         proxy_set_header Connection "";
         proxy_set_header Host $host;
@@ -209,60 +1057,366 @@ server {
 
         proxy_read_timeout 120s;
         proxy_send_timeout 120s;
+    }`;
+  }
+
+  /**
+   * The wildcard static server's locations: the live release of `$host`
+   * (the `$static_release_prefix` map) on S3, with index.html for `/` and
+   * for deep links S3 doesn't know.
+   */
+  staticLocations() {
+    const proxy = (target) => `
+        proxy_pass https://${S3_STATIC_HOST}/${target};
+        proxy_set_header Host ${S3_STATIC_HOST};
+        proxy_http_version 1.1;
+        proxy_set_header Connection "";`;
+
+    return `
+    location = / {${proxy('$static_release_prefix/index.html')}
+    }
+
+    location / {${proxy('$static_release_prefix$uri$is_args$args')}
+
+        proxy_intercept_errors on;
+        error_page 403 404 = @spa_index;
     }
+
+    location @spa_index {${proxy('$static_release_prefix/index.html')}
+    }`;
+  }
+
+  /**
+   * HTTPS servers answering each active custom domain with `locations`, with the
+   * domain's own certificate; a redirect option adds a server sending the
+   * other host to the canonical one. Plain HTTP for these hosts (and the ACME
+   * challenges of their certificates) is answered by the default server.
+   */
+  customDomainServers(domains = [], locations) {
+    return domains.filter((domain) => domain.active).map((domain) => {
+      const certificate = nginxService.certificatePaths(domain.hostname);
+      const tls = `
+    ssl_certificate ${certificate.fullchain};
+    ssl_certificate_key ${certificate.privkey};
+    include ${LE_OPTIONS};
+    ssl_dhparam ${LE_DHPARAM};`;
+      const redirected = domain.hosts.filter((host) => host !== domain.canonicalHost);
+
+      let config = `
+# Custom domain ${domain.hostname}
+server {
+    listen 443 ssl http2;
+    server_name ${domain.canonicalHost};
+${tls}
+${locations}
 }
-`.trimStart();
+`;
+      if (redirected.length > 0) {
+        config += `
+server {
+    listen 443 ssl http2;
+    server_name ${redirected.join(' ')};
+${tls}
+
+    return 301 https://${domain.canonicalHost}$request_uri;
+}
+`;
+      }
+      return config;
+    }).join('');
+  }
 
+  /**
+   * Switch the wildcard S3 server for this project's host (or one of its
+   * preview hosts) to `s3Path`. Production also switches its active custom
+   * domains, which get their own site config in front of the same upstream.
+   */
+  async publishStaticRelease(project, s3Path, previewSlug) {
+    const host = this.siteHost(project, previewSlug);
+    const domains = previewSlug ? [] : (project.domains || []).filter((domain) => domain.active);
+
+    await nginxService.setStaticRelease(host, s3Path, domains.flatMap((domain) => domain.hosts));
+    if (domains.length > 0) {
+      // The aliases above make `$static_release_prefix` resolve for these hosts too
+      await nginxService.installSite(host, `
+# Custom domains of ${host}; the host itself is served by the wildcard server
+${this.customDomainServers(domains, this.staticLocations())}`.trimStart());
+    } else if (!previewSlug && (await nginxService.listSites()).includes(host)) {
+      // The last custom domain was removed
+      await nginxService.removeSite(host);
+    }
+    this.emitLog(project._id, 'success', `Traffic for ${host} switched to ${s3Path}`);
+  }
+
+  /**
+   * Serve the live production deployment on the project's custom domains as
+   * they are now, after one was verified, changed or removed. Projects that
+   * were never deployed pick their domains up with the first deployment.
+   */
+  async applyCustomDomains(project) {
+    const live = project.deployments.id(project.activeDeployment);
+    if (!live) return;
+
+    const buildType = live.buildType || project.buildType;
+    if (buildType === 'static' && live.s3Path) {
+      await this.publishStaticRelease(project, live.s3Path);
+    } else if (buildType === 'server' && project.containerId && live.port) {
+      await this.configureNginx(project.subDomain, live.port, project.domains);
+    }
+  }
+
+  /**
+   * Delete static releases beyond STATIC_RELEASE_RETENTION. The live release and
+   * anything still being built are always kept; deployments whose files are
+   * removed are marked `prunedAt` so they can no longer be rolled back to.
+   * Files left at the project root by pre-versioning deployments go too.
+   * Previews only ever keep the release they are serving.
+   */
+  async pruneStaticReleases(projectId, previewSlug) {
     try {
-      // Write to /tmp as non-root
-      await fs.writeFile(tmpPath, nginxConfig, { mode: 0o644 });
+      const project = await Project.findById(projectId);
+      const preview = previewSlug && project.previews.find((p) => p.slug === previewSlug);
+      if (previewSlug && !preview) return; // torn down in the meantime
 
-      // Move into place, enable, test, reload (needs sudoers)
-      await execAsync(`sudo mv ${tmpPath} ${availPath}`);
-      await execAsync(`sudo ln -sf ${availPath} ${enabledPath}`);
-      await execAsync('sudo nginx -t');
-      await execAsync('sudo systemctl reload nginx');
+      const root = `projects/${this.siteLabel(project, previewSlug)}/`;
+      const retention = preview ? 1 : STATIC_RELEASE_RETENTION;
+      const liveId = preview ? preview.activeDeployment : project.activeDeployment;
 
-      this.emitLog(subDomain, 'success', `Nginx configured for ${serverName} → 127.0.0.1:${port}`);
+      const releases = project.deployments.filter(
+        (d) => d.buildType === 'static' && d.s3Path?.startsWith(root) && !d.prunedAt
+      );
+      const retained = releases
+        .filter((d) => ['running', 'superseded'].includes(d.status))
+        .slice(-retention);
+      const live = releases.filter((d) => String(d._id) === String(liveId));
+      const inFlight = project.deployments.filter((d) => d.status === 'deploying');
+      const keep = new Set([
+        ...[...retained, ...live].map((d) => `${d.s3Path}/`),
+        ...inFlight.map((d) => `${root}${d._id}/`),
+      ]);
+
+      const { prefixes, keys } = await s3Service.listDirectory(root);
+      const expired = prefixes.filter((prefix) => !keep.has(prefix));
+
+      for (const prefix of expired) {
+        await s3Service.deleteFiles(prefix);
+      }
+      await s3Service.deleteKeys(keys);
+
+      const pruned = project.deployments.filter(
+        (d) => d.buildType === 'static' && d.s3Path && !d.prunedAt && !keep.has(`${d.s3Path}/`)
+      );
+      for (const deployment of pruned) {
+        await this.updateDeployment(projectId, deployment._id, { prunedAt: new Date() });
+      }
+
+      if (expired.length > 0) {
+        this.emitLog(projectId, 'info', `Removed ${expired.length} old static release(s) from S3`);
+      }
     } catch (error) {
-      this.emitLog(subDomain, 'error', `Failed to configure Nginx: ${error.message}`);
-      throw error;
+      this.emitLog(projectId, 'warn', `Failed to prune old static releases: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove server images beyond IMAGE_RETENTION, the counterpart of
+   * pruneStaticReleases: the live image and anything still being built are
+   * always kept, and deployments whose image is removed are marked `prunedAt`.
+   * Previews only ever keep the image they are serving.
+   */
+  async pruneServerImages(projectId, previewSlug) {
+    try {
+      const project = await Project.findById(projectId);
+      const preview = previewSlug && project.previews.find((p) => p.slug === previewSlug);
+      if (previewSlug && !preview) return; // torn down in the meantime
+
+      const retention = preview ? 1 : IMAGE_RETENTION;
+      const liveId = String(preview ? preview.activeDeployment : project.activeDeployment);
+
+      const built = project.deployments.filter(
+        (d) => d.buildType === 'server' && d.imageName && !d.prunedAt && (d.previewSlug || null) === (previewSlug || null)
+      );
+      const keep = new Set(
+        built
+          .filter((d) => ['running', 'superseded'].includes(d.status))
+          .slice(-retention)
+          .map((d) => String(d._id))
+      );
+      keep.add(liveId);
+
+      let removed = 0;
+      for (const deployment of built) {
+        if (keep.has(String(deployment._id)) || deployment.status === 'deploying') continue;
+        // Still in use by a container that hasn't been retired yet: retried on the next deploy
+        if (!await dockerService.removeImage(deployment.imageName)) continue;
+        await this.updateDeployment(projectId, deployment._id, { prunedAt: new Date() });
+        removed += 1;
+      }
+
+      if (removed > 0) {
+        this.emitLog(projectId, 'info', `Removed ${removed} old image(s)`);
+      }
+    } catch (error) {
+      this.emitLog(projectId, 'warn', `Failed to prune old images: ${error.message}`);
     }
   }
 
+  /**
+   * Decrypted env vars, optionally only those visible at `scope` (`build` or
+   * `runtime`; variables scoped `both` are in each). Values from before
+   * encryption are still plaintext.
+   */
+  getEnvVars(project, scope) {
+    const envVars = {};
+    for (const [key, variable] of project.envVars || new Map()) {
+      if (variable.value == null) continue;
+      if (scope && variable.scope !== 'both' && variable.scope !== scope) continue;
+      envVars[key] = isEncrypted(variable.value) ? decrypt(variable.value) : variable.value;
+    }
+    return envVars;
+  }
+
   async updateProjectStatus(projectId, status) {
     await Project.findByIdAndUpdate(projectId, { status });
     io.to(`project-${projectId}`).emit('deployment-status', { status });
   }
 
-  async updateProjectDeployment(projectId, deploymentData) {
-    const updateData = {
-      status: deploymentData.status,
-      deployUrl: deploymentData.deployUrl,
-      buildType: deploymentData.buildType,
-      currentDeployment: {
-        ...deploymentData,
-        version: new Date().toISOString(),
+  /**
+   * Append a new deployment record. Records are never replaced; only their
+   * status, logs and (once) their artifact fields are written afterwards.
+   */
+  /**
+   * Append a queued deployment. Its version comes from the project's counter,
+   * incremented in the same update, so concurrent triggers (a push and a
+   * manual deploy) never share a number.
+   */
+  async createDeployment(projectId, { trigger, ref, environment, previewSlug, buildType }) {
+    const fields = Object.fromEntries(Object.entries({
+      _id: new mongoose.Types.ObjectId(),
+      status: 'queued',
+      trigger,
+      ref,
+      environment,
+      previewSlug,
+      buildType,
+      queuedAt: new Date(),
+    }).filter(([, value]) => value !== undefined));
+
+    // Update pipelines aren't cast by Mongoose, hence the explicit fields
+    const { deploymentCount } = await Project.findByIdAndUpdate(projectId, [
+      // Projects from before the counter continue from the length of their history
+      { $set: { deploymentCount: { $add: [{ $ifNull: ['$deploymentCount', { $size: '$deployments' }] }, 1] } } },
+      {
+        $set: {
+          deployments: {
+            $concatArrays: ['$deployments', [
+              { $mergeObjects: [{ $literal: fields }, { version: { $toString: '$deploymentCount' } }] },
+            ]],
+          },
+        },
       },
+    ], { new: true, projection: 'deploymentCount' });
+
+    return { ...fields, version: String(deploymentCount) };
+  }
+
+  async updateDeployment(projectId, deploymentId, fields) {
+    const $set = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) $set[`deployments.$[deployment].${key}`] = value;
+    }
+
+    await Project.updateOne(
+      { _id: projectId },
+      { $set },
+      { arrayFilters: [{ 'deployment._id': deploymentId }] }
+    );
+  }
+
+  /**
+   * Make a deployment the live one: it becomes `running`, whichever deployment
+   * was running before becomes `superseded`, and the project points at it.
+   * With `previewSlug` the same happens within that preview only.
+   */
+  async activateDeployment(projectId, deploymentId, { deployUrl, containerId }, previewSlug) {
+    // Production deployments have no previewSlug (matched by null)
+    const arrayFilters = [
+      { 'previous.status': 'running', 'previous._id': { $ne: deploymentId }, 'previous.previewSlug': previewSlug || null },
+      { 'target._id': deploymentId },
+    ];
+    const $set = {
+      'deployments.$[previous].status': 'superseded',
+      'deployments.$[target].status': 'running',
     };
 
-    if (deploymentData.s3Path) updateData.s3Path = deploymentData.s3Path;
-    if (deploymentData.containerId) updateData.containerId = deploymentData.containerId;
+    if (previewSlug) {
+      Object.assign($set, {
+        'previews.$[preview].activeDeployment': deploymentId,
+        'previews.$[preview].deployUrl': deployUrl,
+      });
+      if (containerId) $set['previews.$[preview].containerId'] = containerId;
+      arrayFilters.push({ 'preview.slug': previewSlug });
+    } else {
+      Object.assign($set, { activeDeployment: deploymentId, deployUrl });
+      if (containerId) $set.containerId = containerId;
+    }
+
+    await Project.updateOne({ _id: projectId }, { $set }, { arrayFilters });
+  }
 
-    await Project.findByIdAndUpdate(projectId, updateData);
+  emitDeploymentUpdate(projectId, deployment, status = deployment.status) {
+    io.to(`project-${projectId}`).emit('deployment-updated', {
+      deploymentId: deployment._id,
+      version: deployment.version,
+      status,
+    });
   }
 
-  emitLog(projectId, level, message) {
-    const logData = { timestamp: new Date(), level, message };
+  emitPreviewUpdate(projectId, slug, status) {
+    io.to(`project-${projectId}`).emit('preview-updated', { slug, status });
+  }
+
+  // `stream` tags build output with the stdout/stderr it was read from
+  emitLog(projectId, level, message, stream) {
+    if (!projectId) return; // e.g. detection clones for projects that don't exist yet
+    const logData = { timestamp: new Date(), level, message: this.redact(projectId, message) };
+    if (stream) logData.stream = stream;
     io.to(`project-${projectId}`).emit('deployment-log', logData);
     this.saveLogToDatabase(projectId, logData);
   }
 
-  async saveLogToDatabase(projectId, logData) {
+  // Mask credentials and env var values in use by the project's running deployment
+  redact(projectId, message) {
+    return redact(message, this.logSecrets.get(String(projectId)));
+  }
+
+  saveLogToDatabase(projectId, logData) {
+    // Only logs emitted while a deployment is in flight have a record to land in
+    const deploymentId = this.activeDeployments.get(String(projectId));
+    if (!deploymentId) return;
+
+    const key = String(deploymentId);
+    let pending = this.pendingLogs.get(key);
+    if (!pending) {
+      pending = { lines: [], timer: setTimeout(() => this.flushLogs(deploymentId), LOG_FLUSH_MS) };
+      this.pendingLogs.set(key, pending);
+    }
+    pending.lines.push({ project: projectId, deployment: deploymentId, ...logData });
+    if (pending.lines.length >= LOG_BATCH_LINES) this.flushLogs(deploymentId);
+  }
+
+  // Write a deployment's pending log lines; the deployment flushes once more when it ends
+  async flushLogs(deploymentId) {
+    const key = String(deploymentId);
+    const pending = this.pendingLogs.get(key);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pendingLogs.delete(key);
+
     try {
-      await Project.findByIdAndUpdate(projectId, { $push: { 'currentDeployment.logs': logData } });
+      await DeploymentLog.insertMany(pending.lines, { lean: true });
     } catch (error) {
-      console.error('Failed to save log to database:', error);
+      console.error(`Failed to save ${pending.lines.length} log line(s) to database:`, error);
     }
   }
 
@@ -275,13 +1429,39 @@ server {
   }
 
   async cleanup(project) {
-    if (project.buildType === 'static' && project.currentDeployment.s3Path) {
+    await DeploymentLog.deleteMany({ project: project._id })
+      .catch((error) => console.error('Failed to delete deployment logs:', error));
+    await buildCacheService.clear(project._id)
+      .catch((error) => console.error('Failed to clear build cache:', error));
+
+    for (const preview of project.previews || []) {
+      await this.removePreviewArtifacts(project, preview.slug);
+    }
+
+    if (project.buildType === 'static') {
       this.emitLog(project._id, 'info', 'Cleaning up S3 files...');
-      await s3Service.deleteFiles(project.currentDeployment.s3Path);
+      await s3Service.deleteFiles(`projects/${project.subDomain}/`);
+      await nginxService
+        .removeStaticRelease(`${project.subDomain}.${BASE_DOMAIN}`)
+        .catch((error) => console.error('Failed to remove static release mapping:', error));
+    }
+    if (project.buildType === 'server') {
+      this.emitLog(project._id, 'info', 'Stopping Docker containers...');
+      await dockerService.retireContainers(project._id, this.containerName(project._id));
     }
-    if (project.buildType === 'server' && project.containerId) {
-      this.emitLog(project._id, 'info', 'Stopping Docker container...');
-      await dockerService.stopContainer(project.containerId);
+    // Every tag of every deployment, previews included
+    await dockerService.removeProjectImages(project._id)
+      .catch((error) => console.error('Failed to remove Docker images:', error));
+
+    // Certificates go only once no site config refers to them
+    const certified = (project.domains || []).filter((domain) => domain.certificateIssuedAt);
+    if (certified.length > 0) {
+      try {
+        await nginxService.removeSite(this.siteHost(project));
+        for (const domain of certified) await nginxService.removeCertificate(domain.hostname);
+      } catch (error) {
+        console.error('Failed to remove custom domains:', error);
+      }
     }
   }
 }
@@ -1,6 +1,21 @@
 import Docker from 'dockerode';
 import { promises as fs } from 'fs';
 import path from 'path';
+import readline from 'readline';
+import { spawn } from 'child_process';
+import { PassThrough } from 'stream';
+import { healthService } from './healthService.js';
+import { generateDockerfile } from '../utils/dockerfileTemplates.js';
+
+// Throwaway containers that run static builds; the image needs a shell and npm
+const BUILDER_IMAGE = process.env.BUILDER_IMAGE || 'node:20-alpine';
+const BUILD_MEMORY_MB = parseInt(process.env.BUILD_MEMORY_MB, 10) || 2048;
+const BUILD_CPUS = parseFloat(process.env.BUILD_CPUS) || 1;
+// How long a replaced container gets to finish in-flight requests before it is killed
+const CONTAINER_DRAIN_SECONDS = parseInt(process.env.CONTAINER_DRAIN_SECONDS, 10) || 10;
+
+// Default time limit for each build step
+const BUILD_TIMEOUT_MINUTES = parseInt(process.env.BUILD_TIMEOUT_MINUTES, 10) || 15;
 
 class DockerService {
   constructor() {
@@ -9,17 +24,40 @@ class DockerService {
   }
 
   /**
-   * Build image (creating Dockerfile if missing), stop old container, run new.
+   * Build image from `contextPath` and start a container from it alongside
+   * whatever is serving `site` now. The Dockerfile (`dockerfile`, relative to
+   * the context) must already exist (see ensureDockerfile). Once traffic has
+   * been switched to the new container, the caller retires the old ones with
+   * retireContainers. `envVars` are set on the container; `buildArgs` are
+   * passed to the image build. See runContainer for the other options.
    */
-  async buildAndDeploy(projectPath, projectId, envVars = {}) {
+  async buildAndDeploy(contextPath, projectId, envVars = {}, {
+    imageName = `project-${projectId}:latest`,
+    site = `project-${projectId}`,
+    containerName = site,
+    buildArgs = {},
+    dockerfile = 'Dockerfile',
+    containerPort,
+    startCommand,
+    healthCheck,
+    resources,
+    signal,
+  } = {}) {
     try {
-      await this.ensureDockerfile(projectPath, projectId);
-      const imageName = `project-${projectId}:latest`;
-
-      await this.buildImage(projectPath, imageName, projectId);
-      await this.stopExistingContainer(projectId);
-
-      const runInfo = await this.runContainer({ imageName, projectId, envVars });
+      await this.buildImage(contextPath, imageName, projectId, signal, buildArgs, dockerfile);
+      signal?.throwIfAborted();
+
+      const runInfo = await this.runContainer({
+        imageName,
+        projectId,
+        envVars,
+        site,
+        containerName,
+        containerPort,
+        startCommand,
+        healthCheck,
+        resources,
+      });
       return runInfo;
     } catch (error) {
       this.emitBuildLog(projectId, 'error', `Docker deployment failed: ${error.message}`);
@@ -28,69 +66,249 @@ class DockerService {
   }
 
   /**
-   * Ensure a Dockerfile exists. Create a secure, minimal Node Dockerfile if missing.
+   * Start a container from an already-built image alongside whatever is
+   * serving `site` now; like buildAndDeploy, the caller retires the old one.
    */
-  async ensureDockerfile(projectPath, projectId) {
-    const dockerfilePath = path.join(projectPath, 'Dockerfile');
-
+  async redeployImage(imageName, projectId, envVars = {}, {
+    site = `project-${projectId}`,
+    containerName = site,
+    containerPort,
+    startCommand,
+    healthCheck,
+    resources,
+  } = {}) {
     try {
-      await fs.access(dockerfilePath);
-      this.emitBuildLog(projectId, 'info', 'Using existing Dockerfile');
-      return;
+      await this.docker.getImage(imageName).inspect();
     } catch {
-      /* fallthrough and create one */
+      throw new Error(`Image ${imageName} is no longer available`);
+    }
+
+    return this.runContainer({
+      imageName,
+      projectId,
+      envVars,
+      site,
+      containerName,
+      containerPort,
+      startCommand,
+      healthCheck,
+      resources,
+    });
+  }
+
+  /**
+   * Run one build step in a throwaway builder container with `workspace`
+   * mounted at /workspace. The step sees only `env`, runs as the backend's uid
+   * so the files it writes can be cleaned up, and is killed when `signal`
+   * aborts or after `timeoutMinutes`. `setup` is shell run before `command`
+   * in the same shell (e.g. to put a package manager on PATH). With `output`,
+   * `output.path` (relative to `workingDir`) is copied out of the container
+   * into `output.destDir` once the step succeeds. Resolves to the exit code; failures carry `exitCode`.
+   */
+  async runBuildStep({
+    projectId,
+    workspace,
+    workingDir = '.',
+    command,
+    setup,
+    env = {},
+    output,
+    signal,
+    timeoutMinutes = BUILD_TIMEOUT_MINUTES,
+  }) {
+    await this.ensureImage(BUILDER_IMAGE, projectId);
+
+    const containerDir = path.posix.join('/workspace', workingDir);
+    const container = await this.docker.createContainer({
+      Image: BUILDER_IMAGE,
+      Cmd: ['sh', '-c', setup ? `${setup} && ${command}` : command],
+      WorkingDir: containerDir,
+      Env: [...Object.entries(env).map(([k, v]) => `${k}=${v}`), 'HOME=/tmp'],
+      User: `${process.getuid()}:${process.getgid()}`,
+      Labels: {
+        'deployflow.project.id': String(projectId),
+        'deployflow.role': 'builder',
+        'deployflow.managed': 'true',
+      },
+      HostConfig: {
+        Binds: [`${workspace}:/workspace`],
+        Memory: BUILD_MEMORY_MB * 1024 * 1024,
+        MemorySwap: BUILD_MEMORY_MB * 1024 * 1024, // no swap on top
+        NanoCpus: Math.round(BUILD_CPUS * 1e9),
+        PidsLimit: 1024,
+        CapDrop: ['ALL'],
+        SecurityOpt: ['no-new-privileges'],
+      },
+    });
+
+    try {
+      this.emitBuildLog(
+        projectId,
+        'info',
+        `Running "${command}" in ${BUILDER_IMAGE} (${BUILD_CPUS} CPU, ${BUILD_MEMORY_MB}MB, ${timeoutMinutes}m limit)`
+      );
+      const exitCode = await this.runToCompletion(container, projectId, { signal, timeoutMinutes });
+      if (output) {
+        await this.copyFromContainer(container, path.posix.join(containerDir, output.path), output.destDir);
+      }
+      return exitCode;
+    } finally {
+      await container.remove({ force: true }).catch(() => {});
     }
+  }
 
-    this.emitBuildLog(projectId, 'info', 'Creating default Dockerfile for Node.js application');
+  /**
+   * Start `container`, stream its output line by line as build logs tagged
+   * with the stream it came from, and wait for it to exit. Resolves to the exit
+   * code; throws on a non-zero exit code, on timeout and when `signal` aborts.
+   */
+  async runToCompletion(container, projectId, { signal, timeoutMinutes = BUILD_TIMEOUT_MINUTES } = {}) {
+    const stream = await container.attach({ stream: true, stdout: true, stderr: true });
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    this.docker.modem.demuxStream(stream, stdout, stderr);
+    stream.on('end', () => {
+      stdout.end();
+      stderr.end();
+    });
+    for (const [name, output] of [['stdout', stdout], ['stderr', stderr]]) {
+      readline.createInterface({ input: output }).on('line', (line) => {
+        if (line.trim()) this.emitBuildLog(projectId, 'info', line, name);
+      });
+    }
 
-    // node:18-alpine doesn’t include curl by default — needed for HEALTHCHECK.
-    const dockerfile = `# ---- Base ----
-FROM node:18-alpine AS base
-WORKDIR /app
+    let timedOut = false;
+    const kill = () => container.kill().catch(() => {});
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeoutMinutes * 60 * 1000);
+    signal?.addEventListener('abort', kill, { once: true });
 
-# Install curl for healthcheck
-RUN apk add --no-cache curl
+    let result;
+    try {
+      await container.start();
+      if (signal?.aborted) kill();
+      result = await container.wait();
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', kill);
+    }
 
-# Copy package manifests first for better docker cache usage
-COPY package*.json ./
+    const exitCode = result.StatusCode;
+    const fail = (message) => Object.assign(new Error(message), { exitCode, timedOut });
+    if (signal?.aborted) throw fail('Build cancelled');
+    if (timedOut) throw fail(`Build timed out after ${timeoutMinutes} minutes`);
+    if (exitCode !== 0) throw fail(`Build exited with code ${exitCode}`);
+    return exitCode;
+  }
 
-# ---- Prod deps ----
-RUN npm ci --only=production
+  /**
+   * Extract `sourcePath` from a (stopped) container into `destDir`. Works on
+   * the container's view of the filesystem, so paths escaping the workspace
+   * can't reach host files.
+   */
+  async copyFromContainer(container, sourcePath, destDir) {
+    let archive;
+    try {
+      archive = await container.getArchive({ path: sourcePath });
+    } catch (error) {
+      if (error.statusCode === 404) throw new Error(`${sourcePath} does not exist after the build`);
+      throw error;
+    }
 
-# ---- App source ----
-COPY . .
+    await fs.mkdir(destDir, { recursive: true });
+    await new Promise((resolve, reject) => {
+      // The archive's top-level entry is the directory itself
+      const tar = spawn('tar', ['-x', '-C', destDir, '--strip-components=1', '--no-same-owner']);
+      let stderr = '';
+      tar.stderr.on('data', (chunk) => { stderr += chunk; });
+      tar.on('error', reject);
+      tar.on('close', (code) => (code === 0 ? resolve() : reject(new Error(`Failed to extract build output: ${stderr}`))));
+      archive.on('error', reject);
+      archive.pipe(tar.stdin);
+    });
+  }
+
+  // Pull `image` unless it is already present
+  async ensureImage(image, projectId) {
+    try {
+      await this.docker.getImage(image).inspect();
+      return;
+    } catch {
+      /* not present; pull it */
+    }
 
-# Non-root user for security
-RUN addgroup -g 1001 -S nodejs && adduser -S nodejs -u 1001
-RUN chown -R nodejs:nodejs /app
-USER nodejs
+    this.emitBuildLog(projectId, 'info', `Pulling ${image}...`);
+    const stream = await this.docker.pull(image);
+    await new Promise((resolve, reject) => {
+      this.docker.modem.followProgress(stream, (error) => (error ? reject(error) : resolve()));
+    });
+  }
 
-# Default port (match your app's PORT usage)
-ENV PORT=3000
+  /**
+   * Ensure a Dockerfile exists, generating one from the matching template in
+   * utils/dockerfileTemplates.js if the repo has none. `buildArgNames` are
+   * declared so build-time variables reach the install and build steps;
+   * existing Dockerfiles need their own ARG lines to use them. `install` is
+   * frameworkService.installPlan() for the project and `containerPort` the
+   * port the generated image exposes. `dockerfile` is relative to
+   * `contextPath`; only the default `Dockerfile` is generated when missing.
+   * Resolves to `{ template, dockerfile }`, with template `custom` for the
+   * repo's own.
+   */
+  async ensureDockerfile(contextPath, projectId, buildArgNames = [], {
+    install = {},
+    dockerfile: dockerfileName = 'Dockerfile',
+    containerPort = 3000,
+  } = {}) {
+    const dockerfilePath = path.join(contextPath, dockerfileName);
 
-EXPOSE 3000
+    try {
+      const dockerfile = await fs.readFile(dockerfilePath, 'utf8');
+      this.emitBuildLog(projectId, 'info', `Using existing ${dockerfileName}`);
+      return { template: 'custom', dockerfile };
+    } catch {
+      if (dockerfileName !== 'Dockerfile') throw new Error(`${dockerfileName} not found`);
+    }
 
-CMD ["npm", "start"]
-`;
+    const { template, name, dockerfile } = await generateDockerfile(contextPath, {
+      buildArgNames,
+      install,
+      port: containerPort,
+    });
+    this.emitBuildLog(projectId, 'info', `Creating default Dockerfile for ${name} application`);
 
     await fs.writeFile(dockerfilePath, dockerfile);
     this.emitBuildLog(projectId, 'success', 'Dockerfile created');
+    return { template, dockerfile };
   }
 
   /**
-   * Build image and stream logs.
+   * Build image and stream logs. Aborting `signal` closes the build stream,
+   * which makes the Docker daemon cancel the build.
    */
-  async buildImage(projectPath, imageName, projectId) {
+  async buildImage(contextPath, imageName, projectId, signal, buildArgs = {}, dockerfile = 'Dockerfile') {
     this.emitBuildLog(projectId, 'info', `Building Docker image: ${imageName}`);
 
     return new Promise((resolve, reject) => {
-      const buildOptions = { t: imageName };
+      const buildOptions = { t: imageName, buildargs: buildArgs, dockerfile };
       this.docker.buildImage(
-        { context: projectPath, src: ['.'] },
+        { context: contextPath, src: ['.'] },
         buildOptions,
         (err, stream) => {
           if (err) return reject(err);
 
+          if (signal) {
+            const abort = () => {
+              stream.destroy();
+              reject(new Error('Docker build cancelled'));
+            };
+            if (signal.aborted) return abort();
+            signal.addEventListener('abort', abort, { once: true });
+            stream.on('close', () => signal.removeEventListener('abort', abort));
+          }
+
           stream.on('data', (chunk) => {
             const text = chunk.toString();
             // Docker emits line-delimited JSON during build; parse where possible
@@ -125,13 +343,46 @@ CMD ["npm", "start"]
   }
 
   /**
-   * Stop & remove an existing container for this project.
+   * Drain and remove the containers serving `site` other than `keep`: each
+   * gets CONTAINER_DRAIN_SECONDS to finish in-flight requests after SIGTERM.
+   * Containers from before sites were labelled are matched by name.
+   */
+  async retireContainers(projectId, site, { keep } = {}) {
+    const containers = await this.docker.listContainers({
+      all: true,
+      filters: { label: [`deployflow.project.id=${projectId}`] },
+    });
+    const retiring = containers.filter(
+      (c) => c.Id !== keep && (c.Labels?.['deployflow.site'] === site || c.Names?.includes(`/${site}`))
+    );
+
+    for (const existing of retiring) {
+      const name = existing.Names?.[0]?.slice(1) || existing.Id.slice(0, 12);
+      try {
+        const container = this.docker.getContainer(existing.Id);
+        if (existing.State === 'running') {
+          this.emitBuildLog(projectId, 'info', `Draining previous container ${name}…`);
+          await container.stop({ t: CONTAINER_DRAIN_SECONDS });
+        }
+        await container.remove({ force: true });
+        this.emitBuildLog(projectId, 'success', `Previous container ${name} removed`);
+      } catch (error) {
+        // Best effort: a leftover container wastes resources but serves no traffic
+        this.emitBuildLog(projectId, 'warn', `Could not remove container ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Stop & remove the container called `name` (the project's production
+   * container by default). Names must match exactly so that a production
+   * deploy never removes one of the project's preview containers.
    */
-  async stopExistingContainer(projectId) {
+  async stopExistingContainer(projectId, name = `project-${projectId}`) {
     try {
-      const name = `project-${projectId}`;
       const containers = await this.docker.listContainers({ all: true });
-      const existing = containers.find((c) => c.Names?.some((n) => n.includes(name)));
+      // The API reports names with a leading slash
+      const existing = containers.find((c) => c.Names?.includes(`/${name}`));
 
       if (existing) {
         this.emitBuildLog(projectId, 'info', 'Stopping existing container…');
@@ -150,18 +401,38 @@ CMD ["npm", "start"]
   }
 
   /**
-   * Create & start container on the next available host port.
+   * Create & start container on the next available host port, mapped to
+   * `containerPort` (also passed to the app as PORT), and wait until it is
+   * ready; a container that never gets ready is removed again. `site` labels
+   * the containers that take turns serving one host (see retireContainers).
+   * `startCommand` replaces the image's entrypoint and command and runs
+   * through /bin/sh, so images without a shell need their own Dockerfile CMD
+   * instead. `healthCheck` is the project's HTTP health check config and
+   * `resources` its container limits (see containerLimits).
    */
-  async runContainer({ imageName, projectId, envVars = {} }) {
+  async runContainer({
+    imageName,
+    projectId,
+    envVars = {},
+    site = `project-${projectId}`,
+    containerName = site,
+    containerPort = 3000,
+    startCommand,
+    healthCheck,
+    resources,
+  }) {
+    // Leftover from an earlier attempt under the same name; never the one serving traffic
+    await this.stopExistingContainer(projectId, containerName);
+
     // Assign a host port (what Nginx will proxy to)
     const hostPort = await this.getNextAvailablePort();
 
     this.emitBuildLog(projectId, 'info', `Starting container on host port ${hostPort}`);
 
-    // Prepare env array: app env + enforced PORT=3000 inside container
+    // Prepare env array: app env + enforced PORT inside container
     const Env = [
       ...Object.entries(envVars).map(([k, v]) => `${k}=${v}`),
-      'PORT=3000',
+      `PORT=${containerPort}`,
       // Helpful in-app metadata
       `PROJECT_ID=${projectId}`,
     ];
@@ -169,20 +440,19 @@ CMD ["npm", "start"]
     const Labels = {
       'deployflow.project.id': String(projectId),
       'deployflow.port': String(hostPort),
+      'deployflow.site': site,
       'deployflow.managed': 'true',
     };
 
     const containerConfig = {
       Image: imageName,
-      name: `project-${projectId}`,
+      name: containerName,
       Env,
-      ExposedPorts: { '3000/tcp': {} },
+      ...(startCommand && { Entrypoint: ['/bin/sh', '-c'], Cmd: [startCommand] }),
+      ExposedPorts: { [`${containerPort}/tcp`]: {} },
       HostConfig: {
-        PortBindings: { '3000/tcp': [{ HostPort: String(hostPort) }] },
-        RestartPolicy: { Name: 'unless-stopped' },
-        // Conservative resource limits; tweak per your box
-        Memory: 512 * 1024 * 1024, // 512MB
-        CpuShares: 512,
+        PortBindings: { [`${containerPort}/tcp`]: [{ HostPort: String(hostPort) }] },
+        ...this.containerLimits(resources),
       },
       Labels,
     };
@@ -191,7 +461,12 @@ CMD ["npm", "start"]
     await container.start();
 
     this.emitBuildLog(projectId, 'info', 'Container started, waiting for readiness…');
-    await this.waitForReadiness(container, projectId);
+    try {
+      await this.waitForReadiness(container, projectId, { hostPort, healthCheck });
+    } catch (error) {
+      await container.remove({ force: true }).catch(() => {});
+      throw error;
+    }
 
     return {
       containerId: container.id,
@@ -202,11 +477,33 @@ CMD ["npm", "start"]
   }
 
   /**
-   * Wait for the container to be running and (best-effort) healthy.
-   * If HEALTHCHECK exists, Docker populates State.Health.
+   * HostConfig for a project's resource settings (Project.resources, already
+   * checked against the owner's plan). Memory includes swap, so a container
+   * over its limit is OOM-killed rather than swapping.
    */
-  async waitForReadiness(container, projectId, maxWaitMs = 60_000) {
+  containerLimits({ memoryMb = 512, cpus = 1, pidsLimit = 256, restartPolicy = 'unless-stopped' } = {}) {
+    const memory = memoryMb * 1024 * 1024;
+    return {
+      Memory: memory,
+      MemorySwap: memory,
+      NanoCpus: Math.round(cpus * 1e9),
+      PidsLimit: pidsLimit,
+      // Crash loops stop after a few attempts instead of restarting forever
+      RestartPolicy: restartPolicy === 'on-failure'
+        ? { Name: 'on-failure', MaximumRetryCount: 5 }
+        : { Name: restartPolicy },
+    };
+  }
+
+  /**
+   * Wait for the container to be running and healthy: Docker's HEALTHCHECK
+   * first if the image has one (Docker populates State.Health), then the
+   * project's HTTP health check against `hostPort` when enabled. Without
+   * either, a short grace period is all there is.
+   */
+  async waitForReadiness(container, projectId, { hostPort, healthCheck, maxWaitMs = 60_000 } = {}) {
     const start = Date.now();
+    let lastProbeError;
 
     while (Date.now() - start < maxWaitMs) {
       try {
@@ -221,23 +518,43 @@ CMD ["npm", "start"]
         if (info.State.Health && info.State.Health.Status) {
           const status = info.State.Health.Status; // starting | healthy | unhealthy
           this.emitBuildLog(projectId, 'info', `Health: ${status}`);
-          if (status === 'healthy') return;
           if (status === 'unhealthy') {
             const logs = await container.logs({ stdout: true, stderr: true, tail: 80 });
             throw new Error(`Healthcheck failed.\nLogs:\n${logs.toString()}`);
           }
-        } else {
+          if (status !== 'healthy') {
+            await this.sleep(2000);
+            continue;
+          }
+          if (!healthCheck?.enabled) return;
+        } else if (!healthCheck?.enabled) {
           // No healthcheck: small grace period then assume up
           await this.sleep(2000);
           return;
         }
 
+        const result = await healthService.probe(hostPort, healthCheck);
+        if (result.ok) {
+          this.emitBuildLog(projectId, 'success', `Health check passed: ${healthCheck.path} returned HTTP ${result.statusCode}`);
+          return;
+        }
+        // Apps usually refuse connections while booting; only report changes
+        if (result.error !== lastProbeError) {
+          this.emitBuildLog(projectId, 'info', `Waiting for health check: ${result.error}`);
+          lastProbeError = result.error;
+        }
+
         await this.sleep(2000);
       } catch (err) {
         if (/exited early|Healthcheck failed/i.test(err.message)) throw err;
         await this.sleep(1000);
       }
     }
+
+    if (lastProbeError) {
+      const logs = await container.logs({ stdout: true, stderr: true, tail: 80 }).catch(() => '');
+      throw new Error(`Health check failed: ${lastProbeError}\nLogs:\n${logs.toString()}`);
+    }
     throw new Error('Container readiness timeout');
   }
 
@@ -277,19 +594,205 @@ CMD ["npm", "start"]
     }
   }
 
-  async getContainerLogs(containerId) {
+  /**
+   * Stop a container but keep it (and its host port) for startContainer.
+   * Docker answers 304 when it is already stopped, which is fine here.
+   */
+  async haltContainer(containerId) {
     try {
-      const container = this.docker.getContainer(containerId);
-      const logs = await container.logs({
-        stdout: true,
-        stderr: true,
-        timestamps: true,
-        tail: 200,
-      });
-      return logs.toString();
+      await this.docker.getContainer(containerId).stop({ t: CONTAINER_DRAIN_SECONDS });
+    } catch (error) {
+      if (error.statusCode !== 304) throw this.containerError(error);
+    }
+  }
+
+  /**
+   * Start a stopped container again and wait until it is ready; see
+   * waitForReadiness for `hostPort` and `healthCheck`.
+   */
+  async startContainer(containerId, projectId, { hostPort, healthCheck } = {}) {
+    const container = this.docker.getContainer(containerId);
+    try {
+      await container.start();
+    } catch (error) {
+      if (error.statusCode !== 304) throw this.containerError(error);
+    }
+    await this.waitForReadiness(container, projectId, { hostPort, healthCheck });
+  }
+
+  async restartContainer(containerId, projectId, { hostPort, healthCheck } = {}) {
+    const container = this.docker.getContainer(containerId);
+    try {
+      await container.restart({ t: CONTAINER_DRAIN_SECONDS });
     } catch (error) {
-      return '';
+      throw this.containerError(error);
     }
+    await this.waitForReadiness(container, projectId, { hostPort, healthCheck });
+  }
+
+  containerError(error) {
+    return error.statusCode === 404
+      ? new Error('Container no longer exists; redeploy the project')
+      : error;
+  }
+
+  /**
+   * Recent output of a container as `{ timestamp, stream, message }` entries,
+   * oldest first. `since` is a Unix timestamp in seconds.
+   */
+  async getContainerLogs(containerId, { since, tail = 200 } = {}) {
+    const container = this.docker.getContainer(containerId);
+    const logs = await container.logs({
+      stdout: true,
+      stderr: true,
+      timestamps: true,
+      tail,
+      ...(since && { since }),
+    });
+    return this.demuxLogBuffer(logs);
+  }
+
+  /**
+   * Stream a container's output as entries (see getContainerLogs) to `onLog`
+   * until the container stops or the returned function is called; `onEnd`
+   * runs once either way.
+   */
+  async followContainerLogs(containerId, { since, tail = 0, onLog, onEnd = () => {} }) {
+    const container = this.docker.getContainer(containerId);
+    const stream = await container.logs({
+      follow: true,
+      stdout: true,
+      stderr: true,
+      timestamps: true,
+      tail,
+      ...(since && { since }),
+    });
+
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    this.docker.modem.demuxStream(stream, stdout, stderr);
+    for (const [name, output] of [['stdout', stdout], ['stderr', stderr]]) {
+      readline.createInterface({ input: output }).on('line', (line) => onLog(this.parseLogLine(line, name)));
+    }
+
+    let ended = false;
+    const end = () => {
+      if (ended) return;
+      ended = true;
+      stdout.end();
+      stderr.end();
+      onEnd();
+    };
+    stream.on('end', end);
+    stream.on('close', end);
+    stream.on('error', end);
+
+    return () => stream.destroy();
+  }
+
+  // Non-follow logs arrive as one buffer of Docker's 8-byte-header frames
+  demuxLogBuffer(buffer) {
+    const entries = [];
+    let offset = 0;
+    while (offset + 8 <= buffer.length) {
+      const stream = buffer[offset] === 2 ? 'stderr' : 'stdout';
+      const size = buffer.readUInt32BE(offset + 4);
+      const text = buffer.subarray(offset + 8, offset + 8 + size).toString('utf8');
+      for (const line of text.split('\n')) {
+        if (line) entries.push(this.parseLogLine(line, stream));
+      }
+      offset += 8 + size;
+    }
+    return entries;
+  }
+
+  // `timestamps: true` prefixes every line with an RFC 3339 timestamp
+  parseLogLine(line, stream) {
+    const space = line.indexOf(' ');
+    return { timestamp: line.slice(0, space), stream, message: line.slice(space + 1) };
+  }
+
+  // The API's name filter matches substrings; only an exact name counts here
+  async findContainerByName(name) {
+    const containers = await this.docker.listContainers({ all: true, filters: { name: [name] } });
+    return containers.find((c) => c.Names?.includes(`/${name}`)) || null;
+  }
+
+  async containerExists(containerId) {
+    try {
+      await this.docker.getContainer(containerId).inspect();
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Resolves to whether the image is gone: one that was never built (404)
+   * counts, one that a container still uses (409) is left alone.
+   */
+  async removeImage(imageName) {
+    try {
+      await this.docker.getImage(imageName).remove();
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) return true;
+      if (error.statusCode === 409) return false;
+      throw error;
+    }
+  }
+
+  // All of a project's images (`project-<id>:<tag>`); call once its containers are gone
+  async removeProjectImages(projectId) {
+    const images = await this.docker.listImages({ filters: { reference: [`project-${projectId}`] } });
+    for (const image of images) {
+      for (const tag of image.RepoTags || []) await this.removeImage(tag);
+    }
+  }
+
+  // Every container of every project, running or not: apps, previews and static builders
+  async listProjectContainers() {
+    return this.docker.listContainers({
+      all: true,
+      filters: { label: ['deployflow.project.id'] },
+    });
+  }
+
+  // Running containers started by this platform: apps, previews and static builders
+  async listManagedContainers() {
+    return this.docker.listContainers({
+      filters: { label: ['deployflow.managed=true'], status: ['running'] },
+    });
+  }
+
+  /**
+   * One reading of a container's cumulative counters: CPU time (and host CPU
+   * time to compare it with), memory in use, network bytes and restarts.
+   * metricsService turns consecutive readings into rates.
+   */
+  async getContainerStats(containerId) {
+    const container = this.docker.getContainer(containerId);
+    const [stats, info] = await Promise.all([
+      container.stats({ stream: false, 'one-shot': true }),
+      container.inspect(),
+    ]);
+
+    // Page cache is reclaimable, so it doesn't count towards the app's usage
+    const memory = stats.memory_stats || {};
+    const cache = memory.stats?.inactive_file ?? memory.stats?.cache ?? 0;
+    const networks = Object.values(stats.networks || {});
+
+    return {
+      cpuUsage: stats.cpu_stats?.cpu_usage?.total_usage ?? 0,
+      systemCpuUsage: stats.cpu_stats?.system_cpu_usage ?? 0,
+      onlineCpus: stats.cpu_stats?.online_cpus || stats.cpu_stats?.cpu_usage?.percpu_usage?.length || 1,
+      memoryBytes: Math.max((memory.usage ?? 0) - cache, 0),
+      memoryLimitBytes: memory.limit ?? null,
+      rxBytes: networks.reduce((sum, network) => sum + (network.rx_bytes || 0), 0),
+      txBytes: networks.reduce((sum, network) => sum + (network.tx_bytes || 0), 0),
+      restartCount: info.RestartCount ?? 0,
+    };
   }
 
   async getContainerStatus(containerId) {
@@ -307,13 +810,13 @@ CMD ["npm", "start"]
     }
   }
 
-  emitBuildLog(projectId, level, message) {
+  emitBuildLog(projectId, level, message, stream) {
     // deploymentService sets global.deploymentService = this
     if (global.deploymentService) {
       // use projectId when provided; otherwise emit generic (won’t crash)
       try {
         if (projectId) {
-          global.deploymentService.emitLog(projectId, level, message);
+          global.deploymentService.emitLog(projectId, level, message, stream);
         } else {
           // No project id available; you could log to stdout as fallback
           // eslint-disable-next-line no-console
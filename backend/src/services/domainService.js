@@ -0,0 +1,138 @@
+// domainService.js
+import { Resolver } from 'dns/promises';
+import Project from '../models/Project.js';
+import { nginxService } from './nginxService.js';
+import { deploymentService } from './deploymentService.js';
+
+// Comma-separated DNS servers to verify against instead of the system's;
+// public resolvers avoid a local cache holding on to "no such record"
+const DNS_SERVERS = process.env.DNS_SERVERS;
+
+/**
+ * Custom domains: ownership checks through DNS, certificates, and handing
+ * active domains to the routing layer (deploymentService.applyCustomDomains).
+ * `resolver` is anything with `resolveTxt(name)`, so checks can run against
+ * a stub instead of real DNS.
+ */
+class DomainService {
+  constructor() {
+    this.resolver = new Resolver();
+    if (DNS_SERVERS) this.resolver.setServers(DNS_SERVERS.split(',').map((server) => server.trim()));
+  }
+
+  /**
+   * Look for the domain's verification record. Resolves to `{ ok, error }`;
+   * never throws.
+   */
+  async checkOwnership(domain) {
+    const { name, value } = domain.verificationRecord;
+
+    let records;
+    try {
+      records = await this.resolver.resolveTxt(name);
+    } catch (error) {
+      if (['ENOTFOUND', 'ENODATA'].includes(error.code)) {
+        return { ok: false, error: `No TXT record found at ${name}` };
+      }
+      return { ok: false, error: `DNS lookup of ${name} failed: ${error.code || error.message}` };
+    }
+
+    // Values longer than 255 characters arrive split into chunks
+    if (records.some((chunks) => chunks.join('').trim() === value)) return { ok: true };
+    return { ok: false, error: `No TXT record at ${name} has the value ${value}` };
+  }
+
+  /**
+   * Verify ownership of one of the project's domains (once), then get it a
+   * certificate and serve it. Every attempt records its outcome on the domain,
+   * so a failed step can simply be retried. Resolves to the updated domain.
+   */
+  async verify(project, domainId) {
+    const domain = project.domains.id(domainId);
+    domain.checkedAt = new Date();
+
+    if (!domain.verifiedAt) {
+      const { ok, error } = await this.checkOwnership(domain);
+      if (!ok) {
+        domain.error = error;
+        await this.saveDomain(project, domain);
+        return domain;
+      }
+      domain.verifiedAt = new Date();
+    }
+
+    await this.activate(project, domain);
+    return domain;
+  }
+
+  // Change how the apex and www hosts relate; verified domains are re-served right away
+  async setRedirect(project, domainId, redirect) {
+    const domain = project.domains.id(domainId);
+    domain.redirect = redirect;
+
+    if (domain.verifiedAt) {
+      domain.checkedAt = new Date();
+      await this.activate(project, domain);
+    } else {
+      await this.saveDomain(project, domain);
+    }
+    return domain;
+  }
+
+  /**
+   * Stop serving a domain and drop it from the project. Its certificate is
+   * deleted last, once the site config no longer refers to it; nginx would
+   * refuse to reload otherwise.
+   */
+  async remove(project, domainId) {
+    const domain = project.domains.id(domainId);
+    await Project.updateOne({ _id: project._id }, { $pull: { domains: { _id: domainId } } });
+    project.domains.pull(domainId);
+
+    if (domain.certificateIssuedAt) {
+      await deploymentService.applyCustomDomains(project);
+      await nginxService.removeCertificate(domain.hostname)
+        .catch((error) => console.error(`Failed to delete certificate for ${domain.hostname}:`, error));
+    }
+  }
+
+  // Certificate for the domain's current hosts (reissued when they changed), then routing
+  async activate(project, domain) {
+    try {
+      if (!domain.active) {
+        await nginxService.issueCertificate(domain.hostname, domain.hosts).catch((error) => {
+          throw new Error(`Certificate request failed: ${error.message}`);
+        });
+        domain.certificateHosts = domain.hosts;
+        domain.certificateIssuedAt = new Date();
+      }
+      await deploymentService.applyCustomDomains(project);
+      domain.error = undefined;
+    } catch (error) {
+      domain.error = error.message;
+    }
+    await this.saveDomain(project, domain);
+  }
+
+  // Writes only this domain's fields, so concurrent deployments and other domains are untouched
+  async saveDomain(project, domain) {
+    const $set = {};
+    const $unset = {};
+    for (const key of ['verifiedAt', 'checkedAt', 'error', 'redirect', 'certificateHosts', 'certificateIssuedAt']) {
+      if (domain[key] === undefined) {
+        $unset[`domains.$[domain].${key}`] = '';
+      } else {
+        $set[`domains.$[domain].${key}`] = domain[key];
+      }
+    }
+    $set['domains.$[domain].updatedAt'] = new Date();
+
+    await Project.updateOne(
+      { _id: project._id },
+      Object.keys($unset).length > 0 ? { $set, $unset } : { $set },
+      { arrayFilters: [{ 'domain._id': domain._id }] }
+    );
+  }
+}
+
+export const domainService = new DomainService();
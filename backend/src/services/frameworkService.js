@@ -0,0 +1,272 @@
+// frameworkService.js
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Checked in order; the first lockfile found decides the package manager
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun'],
+  ['package-lock.json', 'npm'],
+  ['npm-shrinkwrap.json', 'npm'],
+];
+
+/**
+ * Install commands with and without a lockfile, for builds and for production
+ * images, plus the shell needed to make the tool available in a Node image:
+ * `dockerSetup` runs as root in the default Dockerfile, `builderSetup` as an
+ * unprivileged user in the static builder (tools land in /tmp/bin).
+ * `cachedInstall` replaces installs that would discard a node_modules restored
+ * from the build cache.
+ */
+const PACKAGE_MANAGERS = {
+  npm: {
+    install: { locked: 'npm ci', unlocked: 'npm install' },
+    productionInstall: { locked: 'npm ci --omit=dev', unlocked: 'npm install --omit=dev' },
+    // `npm ci` always deletes node_modules first
+    cachedInstall: 'npm install --prefer-offline --no-audit --no-fund',
+  },
+  yarn: {
+    install: { locked: 'yarn install --frozen-lockfile', unlocked: 'yarn install' },
+    productionInstall: { locked: 'yarn install --frozen-lockfile --production', unlocked: 'yarn install --production' },
+    dockerSetup: 'corepack enable',
+    builderSetup: 'corepack enable --install-directory /tmp/bin && export PATH=/tmp/bin:$PATH',
+  },
+  pnpm: {
+    install: { locked: 'pnpm install --frozen-lockfile', unlocked: 'pnpm install' },
+    productionInstall: { locked: 'pnpm install --frozen-lockfile --prod', unlocked: 'pnpm install --prod' },
+    dockerSetup: 'corepack enable',
+    builderSetup: 'corepack enable --install-directory /tmp/bin && export PATH=/tmp/bin:$PATH',
+  },
+  bun: {
+    install: { locked: 'bun install --frozen-lockfile', unlocked: 'bun install' },
+    productionInstall: { locked: 'bun install --frozen-lockfile --production', unlocked: 'bun install --production' },
+    dockerSetup: 'npm install --global bun',
+    builderSetup: 'npm install --global --prefix /tmp bun && export PATH=/tmp/bin:$PATH',
+  },
+};
+
+const NODE_SERVERS = ['express', 'fastify', 'koa', '@nestjs/core', '@hapi/hapi', 'hono'];
+
+/**
+ * Node frameworks, most specific first. `match` gets the repo facts and
+ * returns the proposed settings, or nothing when the framework isn't used.
+ * A framework counts as used when it is a dependency or its config file exists.
+ */
+const FRAMEWORKS = [
+  {
+    id: 'nextjs',
+    name: 'Next.js',
+    config: 'next.config',
+    dependency: 'next',
+    // `output: 'export'` produces a static site in `out`
+    match: ({ configSource }) => (/output\s*:\s*['"]export['"]/.test(configSource)
+      ? { buildType: 'static', publishDirectory: 'out' }
+      : { buildType: 'server', publishDirectory: '.next' }),
+  },
+  {
+    id: 'nuxt',
+    name: 'Nuxt',
+    config: 'nuxt.config',
+    dependency: 'nuxt',
+    match: ({ configSource }) => (/ssr\s*:\s*false/.test(configSource)
+      ? { buildType: 'static', buildScript: 'generate', publishDirectory: '.output/public' }
+      : { buildType: 'server', publishDirectory: '.output' }),
+  },
+  {
+    id: 'sveltekit',
+    name: 'SvelteKit',
+    config: 'svelte.config',
+    dependency: '@sveltejs/kit',
+    match: ({ deps }) => (deps['@sveltejs/adapter-static']
+      ? { buildType: 'static', publishDirectory: 'build' }
+      : { buildType: 'server', publishDirectory: 'build' }),
+  },
+  {
+    id: 'astro',
+    name: 'Astro',
+    config: 'astro.config',
+    dependency: 'astro',
+    match: ({ deps }) => (deps['@astrojs/node']
+      ? { buildType: 'server', publishDirectory: 'dist' }
+      : { buildType: 'static', publishDirectory: 'dist' }),
+  },
+  {
+    id: 'remix',
+    name: 'Remix',
+    dependency: '@remix-run/node',
+    match: () => ({ buildType: 'server', publishDirectory: 'build' }),
+  },
+  {
+    id: 'gatsby',
+    name: 'Gatsby',
+    config: 'gatsby-config',
+    dependency: 'gatsby',
+    match: () => ({ buildType: 'static', publishDirectory: 'public' }),
+  },
+  {
+    id: 'angular',
+    name: 'Angular',
+    config: 'angular.json',
+    dependency: '@angular/core',
+    match: ({ pkg }) => ({ buildType: 'static', publishDirectory: `dist/${pkg.name || ''}`.replace(/\/$/, '') }),
+  },
+  {
+    id: 'cra',
+    name: 'Create React App',
+    dependency: 'react-scripts',
+    match: () => ({ buildType: 'static', publishDirectory: 'build' }),
+  },
+  {
+    id: 'vue-cli',
+    name: 'Vue CLI',
+    config: 'vue.config',
+    dependency: '@vue/cli-service',
+    match: () => ({ buildType: 'static', publishDirectory: 'dist' }),
+  },
+  {
+    id: 'vite',
+    name: 'Vite',
+    config: 'vite.config',
+    dependency: 'vite',
+    match: () => ({ buildType: 'static', publishDirectory: 'dist' }),
+  },
+  {
+    id: 'node-server',
+    name: 'Node.js server',
+    match: ({ deps }) => (NODE_SERVERS.some((name) => deps[name])
+      ? { buildType: 'server', publishDirectory: '.' }
+      : undefined),
+  },
+];
+
+// Repos without a package.json, identified by a marker file
+const OTHER_RUNTIMES = [
+  { id: 'docker', name: 'Dockerfile', files: ['Dockerfile'] },
+  { id: 'python', name: 'Python', files: ['requirements.txt', 'pyproject.toml', 'Pipfile'] },
+  { id: 'go', name: 'Go', files: ['go.mod'] },
+  { id: 'ruby', name: 'Ruby', files: ['Gemfile'] },
+];
+
+class FrameworkService {
+  /**
+   * Inspect a checked-out project directory and propose build settings:
+   * `{ framework, name, buildType, buildCommand, publishDirectory,
+   * installCommand, packageManager }`. Nothing is executed; unknown layouts
+   * are proposed as a static site published from `dist`.
+   */
+  async detect(projectDir) {
+    const files = new Set(await fs.readdir(projectDir).catch(() => []));
+    const pkg = files.has('package.json') ? await this.readPackageJson(projectDir) : null;
+
+    if (!pkg) {
+      const runtime = OTHER_RUNTIMES.find(({ files: markers }) => markers.some((file) => files.has(file)));
+      if (runtime) {
+        return {
+          framework: runtime.id,
+          name: runtime.name,
+          buildType: 'server',
+          buildCommand: '',
+          publishDirectory: '.',
+          installCommand: '',
+          packageManager: null,
+        };
+      }
+      if (files.has('index.html')) {
+        return {
+          framework: 'html',
+          name: 'Static HTML',
+          buildType: 'static',
+          buildCommand: '',
+          publishDirectory: '.',
+          installCommand: '',
+          packageManager: null,
+        };
+      }
+    }
+
+    const { packageManager, command: installCommand } = this.planInstall(files, pkg);
+    const deps = { ...pkg?.dependencies, ...pkg?.devDependencies };
+    const scripts = pkg?.scripts || {};
+
+    let detected = { framework: 'unknown', name: 'Unknown', buildType: 'static', publishDirectory: 'dist' };
+    for (const framework of FRAMEWORKS) {
+      const configFile = framework.config && [...files].find((file) => file.startsWith(framework.config));
+      if (framework.dependency && !deps[framework.dependency] && !configFile) continue;
+
+      const configSource = configFile ? await fs.readFile(path.join(projectDir, configFile), 'utf8').catch(() => '') : '';
+      const settings = framework.match({ pkg: pkg || {}, deps, configSource });
+      if (settings) {
+        detected = { framework: framework.id, name: framework.name, ...settings };
+        break;
+      }
+    }
+
+    // Plain Node apps with a start script but nothing to build
+    if (detected.framework === 'unknown' && scripts.start && !scripts.build) {
+      detected = { framework: 'node', name: 'Node.js', buildType: 'server', publishDirectory: '.' };
+    }
+
+    const { buildScript = 'build', ...settings } = detected;
+    return {
+      ...settings,
+      buildCommand: scripts[buildScript] ? this.runScript(packageManager, buildScript) : '',
+      installCommand: pkg ? installCommand : '',
+      packageManager: pkg ? packageManager : null,
+    };
+  }
+
+  /**
+   * How to install dependencies in `projectDir`: `{ packageManager, lockfile,
+   * command, cachedCommand, productionCommand, dockerSetup, builderSetup }`.
+   * `cachedCommand` is for when node_modules was restored from the build
+   * cache. A non-empty `installCommand` (buildConfig.installCommand) replaces
+   * all three commands.
+   */
+  async installPlan(projectDir, installCommand = '') {
+    const files = new Set(await fs.readdir(projectDir).catch(() => []));
+    const pkg = files.has('package.json') ? await this.readPackageJson(projectDir) : null;
+    return this.planInstall(files, pkg, installCommand);
+  }
+
+  planInstall(files, pkg, installCommand = '') {
+    const packageManager = this.detectPackageManager(files, pkg);
+    const { install, productionInstall, cachedInstall, dockerSetup = '', builderSetup = '' } = PACKAGE_MANAGERS[packageManager];
+    const lockfile = LOCKFILES.find(([file, manager]) => manager === packageManager && files.has(file))?.[0] || null;
+    const variant = lockfile ? 'locked' : 'unlocked';
+
+    return {
+      packageManager,
+      lockfile,
+      command: installCommand || install[variant],
+      cachedCommand: installCommand || cachedInstall || install[variant],
+      productionCommand: installCommand || productionInstall[variant],
+      dockerSetup,
+      builderSetup,
+    };
+  }
+
+  detectPackageManager(files, pkg) {
+    // Corepack's "packageManager": "pnpm@9.1.0" wins over lockfiles
+    const declared = pkg?.packageManager?.split('@')[0];
+    if (PACKAGE_MANAGERS[declared]) return declared;
+
+    const lockfile = LOCKFILES.find(([file]) => files.has(file));
+    return lockfile ? lockfile[1] : 'npm';
+  }
+
+  runScript(packageManager, script) {
+    return packageManager === 'yarn' ? `yarn ${script}` : `${packageManager} run ${script}`;
+  }
+
+  async readPackageJson(projectDir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(projectDir, 'package.json'), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+export const frameworkService = new FrameworkService();
@@ -0,0 +1,120 @@
+// healthService.js
+import Project from '../models/Project.js';
+import { io } from '../server.js';
+
+// How often the monitor looks for projects whose next probe is due
+const HEALTH_MONITOR_TICK = 5 * 1000;
+
+/**
+ * HTTP health checks for server deployments. `probe` is used before a new
+ * container goes live (see dockerService.waitForReadiness); the monitor keeps
+ * probing each running production deployment every `intervalSeconds` and
+ * flips the project between `running` and `unhealthy`.
+ */
+class HealthService {
+  constructor() {
+    this.monitored = new Map(); // projectId → { port, failures, lastProbeAt }
+  }
+
+  /**
+   * One GET of `path` on the container's host port. Redirects are not
+   * followed: without an `expectedStatus` any 2xx or 3xx response passes.
+   * Resolves to `{ ok, statusCode, error }`; never throws.
+   */
+  async probe(port, { path = '/', expectedStatus, timeoutSeconds = 5 } = {}) {
+    try {
+      const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutSeconds * 1000),
+      });
+      await response.body?.cancel();
+
+      const ok = expectedStatus == null
+        ? response.status >= 200 && response.status < 400
+        : response.status === expectedStatus;
+      if (ok) {
+        return { ok: true, statusCode: response.status };
+      }
+      return {
+        ok: false,
+        statusCode: response.status,
+        error: `${path} returned HTTP ${response.status}, expected ${expectedStatus ?? '2xx or 3xx'}`,
+      };
+    } catch (error) {
+      const reason = error.name === 'TimeoutError'
+        ? `no response within ${timeoutSeconds}s`
+        : error.cause?.code || error.cause?.message || error.message;
+      return { ok: false, error: `${path} failed: ${reason}` };
+    }
+  }
+
+  start() {
+    const tick = () => this.checkDue().catch((error) => console.error('Health monitor failed:', error));
+    setInterval(tick, HEALTH_MONITOR_TICK).unref();
+    return tick();
+  }
+
+  async checkDue() {
+    const projects = await Project.find({
+      buildType: 'server',
+      status: { $in: ['running', 'unhealthy'] },
+      'healthCheck.enabled': { $ne: false },
+    }).select('status healthCheck activeDeployment deployments._id deployments.port');
+
+    const now = Date.now();
+    const due = [];
+    for (const project of projects) {
+      const port = project.deployments.id(project.activeDeployment)?.port;
+      if (!port) continue;
+
+      // A new deployment (or rollback) starts with a clean slate
+      const id = String(project._id);
+      let state = this.monitored.get(id);
+      if (!state || state.port !== port) {
+        state = { port, failures: 0, lastProbeAt: 0 };
+        this.monitored.set(id, state);
+      }
+      if (now - state.lastProbeAt >= project.healthCheck.intervalSeconds * 1000) {
+        state.lastProbeAt = now;
+        due.push(this.check(project, state));
+      }
+    }
+
+    // Forget projects that were stopped, redeployed as static or deleted
+    const active = new Set(projects.map((project) => String(project._id)));
+    for (const id of this.monitored.keys()) {
+      if (!active.has(id)) this.monitored.delete(id);
+    }
+
+    await Promise.all(due);
+  }
+
+  async check(project, state) {
+    const result = await this.probe(state.port, project.healthCheck);
+    state.failures = result.ok ? 0 : state.failures + 1;
+
+    let status = project.status;
+    if (result.ok) {
+      status = 'running';
+    } else if (state.failures >= project.healthCheck.retries) {
+      status = 'unhealthy';
+    }
+
+    const health = { checkedAt: new Date(), error: result.ok ? '' : result.error };
+    // Conditional on the status read, so a deployment that started meanwhile wins
+    const { modifiedCount } = await Project.updateOne(
+      { _id: project._id, status: project.status },
+      { status, health }
+    );
+    if (!modifiedCount || status === project.status) return;
+
+    if (status === 'unhealthy') {
+      console.warn(`Project ${project._id} is unhealthy: ${result.error}`);
+    }
+    const room = io.to(`project-${project._id}`);
+    room.emit('health-status', { status, ...health });
+    room.emit('deployment-status', { status });
+  }
+}
+
+export const healthService = new HealthService();
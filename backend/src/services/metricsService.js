@@ -0,0 +1,154 @@
+// metricsService.js
+import mongoose from 'mongoose';
+import ContainerMetric from '../models/ContainerMetric.js';
+import { dockerService } from './dockerService.js';
+
+// Seconds between samples; CPU and network rates are averaged over this window
+const METRICS_INTERVAL_SECONDS = parseInt(process.env.METRICS_INTERVAL_SECONDS, 10) || 60;
+
+// Chart ranges and the bucket size each one is downsampled to
+const RANGES = {
+  '1h': { seconds: 60 * 60, bucketSeconds: 60 },
+  '6h': { seconds: 6 * 60 * 60, bucketSeconds: 5 * 60 },
+  '24h': { seconds: 24 * 60 * 60, bucketSeconds: 15 * 60 },
+  '7d': { seconds: 7 * 24 * 60 * 60, bucketSeconds: 60 * 60 },
+};
+
+/**
+ * Samples every running `deployflow.managed` container on a timer and stores
+ * one ContainerMetric per container per interval. Docker reports cumulative
+ * counters, so rates come from the difference with the previous reading.
+ */
+class MetricsService {
+  constructor() {
+    this.previous = new Map(); // containerId → { reading, readAt }
+    this.collecting = false;
+  }
+
+  start() {
+    const tick = () => this.collect().catch((error) => console.error('Metrics collection failed:', error));
+    setInterval(tick, METRICS_INTERVAL_SECONDS * 1000).unref();
+    return tick();
+  }
+
+  async collect() {
+    // A slow Docker daemon must not stack up overlapping passes
+    if (this.collecting) return;
+    this.collecting = true;
+
+    try {
+      const containers = await dockerService.listManagedContainers();
+      const samples = [];
+
+      for (const container of containers) {
+        // Static builds are short-lived and capped by BUILD_MEMORY_MB/BUILD_CPUS anyway
+        if (container.Labels?.['deployflow.role'] === 'builder') continue;
+        const projectId = container.Labels?.['deployflow.project.id'];
+        if (!mongoose.isValidObjectId(projectId)) continue;
+
+        try {
+          const reading = await dockerService.getContainerStats(container.Id);
+          const sample = this.toSample(container.Id, reading, new Date());
+          if (sample) {
+            samples.push({
+              project: projectId,
+              site: container.Labels['deployflow.site'],
+              containerId: container.Id,
+              ...sample,
+            });
+          }
+        } catch (error) {
+          // Containers can disappear between the listing and the stats call
+          if (error.statusCode !== 404) {
+            console.error(`Failed to sample container ${container.Id.slice(0, 12)}:`, error.message);
+          }
+        }
+      }
+
+      // Forget readings of containers that are gone
+      const running = new Set(containers.map((container) => container.Id));
+      for (const containerId of this.previous.keys()) {
+        if (!running.has(containerId)) this.previous.delete(containerId);
+      }
+
+      if (samples.length > 0) await ContainerMetric.insertMany(samples);
+    } finally {
+      this.collecting = false;
+    }
+  }
+
+  // Rates against the previous reading; the first reading of a container only primes it
+  toSample(containerId, reading, readAt) {
+    const last = this.previous.get(containerId);
+    this.previous.set(containerId, { reading, readAt });
+    if (!last) return null;
+
+    const elapsed = (readAt - last.readAt) / 1000;
+    const cpuDelta = reading.cpuUsage - last.reading.cpuUsage;
+    const systemDelta = reading.systemCpuUsage - last.reading.systemCpuUsage;
+    // Counters restart with the container; skip rates that would go negative
+    const rate = (current, before) => (current >= before && elapsed > 0 ? (current - before) / elapsed : null);
+
+    return {
+      timestamp: readAt,
+      cpuPercent: cpuDelta >= 0 && systemDelta > 0 ? (cpuDelta / systemDelta) * reading.onlineCpus * 100 : null,
+      memoryBytes: reading.memoryBytes,
+      memoryLimitBytes: reading.memoryLimitBytes,
+      networkRxBytesPerSec: rate(reading.rxBytes, last.reading.rxBytes),
+      networkTxBytesPerSec: rate(reading.txBytes, last.reading.txBytes),
+      restartCount: reading.restartCount,
+    };
+  }
+
+  isValidRange(range) {
+    return Object.hasOwn(RANGES, range);
+  }
+
+  /**
+   * Samples of one site over `range`, averaged into fixed buckets (maxima for
+   * the memory limit and restarts). Resolves to `{ range, bucketSeconds, points }`.
+   */
+  async getMetrics(projectId, site, range = '1h') {
+    const { seconds, bucketSeconds } = RANGES[range];
+    const bucketMs = bucketSeconds * 1000;
+    const timeMs = { $toLong: '$timestamp' };
+
+    const points = await ContainerMetric.aggregate([
+      {
+        $match: {
+          project: new mongoose.Types.ObjectId(String(projectId)),
+          site,
+          timestamp: { $gte: new Date(Date.now() - seconds * 1000) },
+        },
+      },
+      {
+        $group: {
+          _id: { $subtract: [timeMs, { $mod: [timeMs, bucketMs] }] },
+          cpuPercent: { $avg: '$cpuPercent' },
+          memoryBytes: { $avg: '$memoryBytes' },
+          memoryLimitBytes: { $max: '$memoryLimitBytes' },
+          networkRxBytesPerSec: { $avg: '$networkRxBytesPerSec' },
+          networkTxBytesPerSec: { $avg: '$networkTxBytesPerSec' },
+          restartCount: { $max: '$restartCount' },
+        },
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          timestamp: { $toDate: '$_id' },
+          cpuPercent: 1,
+          memoryBytes: 1,
+          memoryLimitBytes: 1,
+          networkRxBytesPerSec: 1,
+          networkTxBytesPerSec: 1,
+          restartCount: 1,
+        },
+      },
+    ]);
+
+    return { range, bucketSeconds, points };
+  }
+}
+
+export const metricsService = new MetricsService();
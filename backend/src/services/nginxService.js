@@ -0,0 +1,124 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+
+const execAsync = promisify(exec);
+
+const SITES_AVAILABLE = process.env.NGINX_SITES_AVAILABLE || '/etc/nginx/sites-available';
+const SITES_ENABLED = process.env.NGINX_SITES_ENABLED || '/etc/nginx/sites-enabled';
+// Included by the `$static_release_prefix` map in nginx.conf, one file per host
+const STATIC_RELEASES_DIR = process.env.NGINX_STATIC_RELEASES_DIR || '/etc/nginx/deployflow/static-releases';
+// Custom domain certificates: certbot's live directory, and the webroot the
+// port-80 default server answers ACME challenges from
+const CERTIFICATES_DIR = process.env.LE_LIVE_DIR || '/etc/letsencrypt/live';
+const ACME_WEBROOT = process.env.ACME_WEBROOT || '/var/www/acme';
+const ACME_EMAIL = process.env.ACME_EMAIL;
+const CERTBOT_TIMEOUT = 5 * 60 * 1000;
+
+class NginxService {
+  /**
+   * Install (or replace) a site config, enable it, test and reload. If the
+   * reload fails the previous config is put back, so nginx keeps serving (and
+   * later reloads keep passing) with what it had.
+   */
+  async installSite(name, config) {
+    const availPath = path.join(SITES_AVAILABLE, `${name}.conf`);
+    const enabledPath = path.join(SITES_ENABLED, `${name}.conf`);
+    const previous = await fs.readFile(availPath, 'utf8').catch(() => null);
+
+    await this.writeRootFile(availPath, config);
+    await execAsync(`sudo ln -sf ${availPath} ${enabledPath}`);
+    try {
+      await this.reload();
+    } catch (error) {
+      if (previous !== null) {
+        await this.writeRootFile(availPath, previous);
+      } else {
+        await execAsync(`sudo rm -f ${enabledPath} ${availPath}`);
+      }
+      throw error;
+    }
+  }
+
+  async removeSite(name) {
+    const availPath = path.join(SITES_AVAILABLE, `${name}.conf`);
+    const enabledPath = path.join(SITES_ENABLED, `${name}.conf`);
+
+    await execAsync(`sudo rm -f ${enabledPath} ${availPath}`);
+    await this.reload();
+  }
+
+  // Names of enabled site configs (without .conf), including ones nginx ships with
+  async listSites() {
+    const files = await fs.readdir(SITES_ENABLED).catch(() => []);
+    return files.filter((file) => file.endsWith('.conf')).map((file) => file.slice(0, -'.conf'.length));
+  }
+
+  /**
+   * Point the wildcard S3 server at a fully uploaded release for `host` and
+   * its `aliases` (custom domains). Nginx reloads gracefully, so requests
+   * switch from the old prefix to the new one in a single step.
+   */
+  async setStaticRelease(host, s3Prefix, aliases = []) {
+    const mapPath = path.join(STATIC_RELEASES_DIR, `${host}.map`);
+    await execAsync(`sudo mkdir -p ${STATIC_RELEASES_DIR}`);
+    await this.writeRootFile(mapPath, [host, ...aliases].map((name) => `${name} ${s3Prefix};\n`).join(''));
+    await this.reload();
+  }
+
+  async removeStaticRelease(host) {
+    const mapPath = path.join(STATIC_RELEASES_DIR, `${host}.map`);
+    await execAsync(`sudo rm -f ${mapPath}`);
+    await this.reload();
+  }
+
+  certificatePaths(name) {
+    return {
+      fullchain: path.join(CERTIFICATES_DIR, name, 'fullchain.pem'),
+      privkey: path.join(CERTIFICATES_DIR, name, 'privkey.pem'),
+    };
+  }
+
+  /**
+   * Issue the certificate `name` for `hosts` with certbot's webroot challenge,
+   * or reissue it when the hosts changed. certbot renews it on its own timer
+   * and reloads nginx through the deploy hook saved with it.
+   */
+  async issueCertificate(name, hosts) {
+    const command = [
+      'sudo certbot certonly --webroot --non-interactive --agree-tos --keep-until-expiring',
+      `-w ${ACME_WEBROOT}`,
+      `--cert-name ${name}`,
+      ...hosts.map((host) => `-d ${host}`),
+      ACME_EMAIL ? `--email ${ACME_EMAIL}` : '--register-unsafely-without-email',
+      '--deploy-hook "systemctl reload nginx"',
+    ].join(' ');
+    try {
+      await execAsync(command, { timeout: CERTBOT_TIMEOUT });
+    } catch (error) {
+      // certbot explains validation failures on stderr
+      throw new Error(error.stderr?.trim().split('\n').slice(-3).join(' ') || error.message);
+    }
+  }
+
+  async removeCertificate(name) {
+    await execAsync(`sudo certbot delete --non-interactive --cert-name ${name}`, { timeout: CERTBOT_TIMEOUT });
+  }
+
+  /**
+   * Write to /tmp as non-root, then move into place (needs sudoers).
+   */
+  async writeRootFile(destPath, content) {
+    const tmpPath = path.join('/tmp', `${path.basename(destPath)}.${process.pid}.tmp`);
+    await fs.writeFile(tmpPath, content, { mode: 0o644 });
+    await execAsync(`sudo mv ${tmpPath} ${destPath}`);
+  }
+
+  async reload() {
+    await execAsync('sudo nginx -t');
+    await execAsync('sudo systemctl reload nginx');
+  }
+}
+
+export const nginxService = new NginxService();
@@ -0,0 +1,228 @@
+// reconcilerService.js
+import Project from '../models/Project.js';
+import { dockerService } from './dockerService.js';
+import { nginxService } from './nginxService.js';
+import { deploymentService } from './deploymentService.js';
+
+const RECONCILE_INTERVAL_SECONDS = parseInt(process.env.RECONCILE_INTERVAL_SECONDS, 10) || 300;
+// `false` only reports drift; nothing is restarted, removed or rewritten
+const RECONCILE_REPAIR = process.env.RECONCILE_REPAIR !== 'false';
+// Containers younger than this may belong to a deployment or rollback that
+// has not recorded them yet, so they are never treated as orphans
+const ORPHAN_GRACE_SECONDS = 10 * 60;
+
+/**
+ * Compares what Mongo says is deployed with what Docker and nginx actually
+ * run, and repairs the difference: stopped containers are started again,
+ * missing ones flag the project as failed, statuses are corrected, and
+ * containers or site configs nobody owns are removed. Every pass produces a
+ * drift report, the latest of which is served by the admin API.
+ */
+class ReconcilerService {
+  constructor() {
+    this.lastReport = null;
+    this.running = null; // promise of the pass in progress
+  }
+
+  start() {
+    const tick = () => this.reconcile().catch((error) => console.error('Reconciliation failed:', error));
+    setInterval(tick, RECONCILE_INTERVAL_SECONDS * 1000).unref();
+    return tick();
+  }
+
+  // Concurrent callers (the timer and the admin API) share one pass
+  reconcile() {
+    if (!this.running) {
+      this.running = this.runPass().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runPass() {
+    const startedAt = new Date();
+    const drift = [];
+    const record = (item) => {
+      drift.push(item);
+      if (item.action !== 'none') {
+        console.warn(`Reconciler: ${item.kind} ${item.subject} (${item.detail}) → ${item.action}`);
+      }
+    };
+
+    const [containers, sites, projects] = await Promise.all([
+      dockerService.listProjectContainers(),
+      nginxService.listSites(),
+      Project.find().select(
+        'subDomain buildType status containerId healthCheck activeDeployment domains previews.slug previews.containerId previews.activeDeployment deployments._id deployments.status deployments.port deployments.buildType deployments.s3Path deployments.previewSlug'
+      ),
+    ]);
+    const containersById = new Map(containers.map((container) => [container.Id, container]));
+    const projectsById = new Map(projects.map((project) => [String(project._id), project]));
+
+    for (const project of projects) {
+      await this.reconcileProject(project, containersById, record);
+    }
+    await this.removeOrphanedContainers(containers, projectsById, record);
+    await this.reconcileSites(sites, projects, record);
+
+    this.lastReport = {
+      startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+      repair: RECONCILE_REPAIR,
+      containers: containers.length,
+      projects: projects.length,
+      drift,
+    };
+    return this.lastReport;
+  }
+
+  // The production container of a server project against its recorded status
+  async reconcileProject(project, containersById, record) {
+    if (project.buildType !== 'server' || !project.containerId) return;
+    if (['deploying', 'idle'].includes(project.status)) return;
+
+    const subject = project.containerId.slice(0, 12);
+    const container = this.findContainer(containersById, project.containerId);
+    const base = { kind: null, projectId: project._id, subject };
+
+    if (!container) {
+      if (project.status === 'failed') return;
+      record({ ...base, kind: 'container-missing', detail: `project is ${project.status}`, action: await this.repair(
+        () => deploymentService.updateProjectStatus(project._id, 'failed'),
+        'marked failed'
+      ) });
+      return;
+    }
+
+    const running = container.State === 'running';
+    if (!running && ['running', 'unhealthy'].includes(project.status)) {
+      // Crashed past its restart policy, or not brought back after a host reboot
+      record({ ...base, kind: 'container-stopped', detail: `container is ${container.State}`, action: await this.repair(
+        () => deploymentService.startServer(project),
+        'restarted'
+      ) });
+    } else if (running && project.status === 'stopped') {
+      record({ ...base, kind: 'status-mismatch', detail: 'container runs but project is stopped', action: await this.repair(
+        () => deploymentService.updateProjectStatus(project._id, 'running'),
+        'status corrected'
+      ) });
+    }
+  }
+
+  // Containers of deleted projects, and app containers no project or preview points at
+  async removeOrphanedContainers(containers, projectsById, record) {
+    const now = Date.now() / 1000;
+
+    for (const container of containers) {
+      if (now - container.Created < ORPHAN_GRACE_SECONDS) continue;
+
+      const project = projectsById.get(container.Labels['deployflow.project.id']);
+      let reason;
+      if (!project) {
+        reason = 'project no longer exists';
+      } else if (container.Labels['deployflow.role'] === 'builder') {
+        // Builders are removed when their step ends; a deploying project may still own one
+        if (!project.deployments.some((d) => d.status === 'deploying')) reason = 'leftover build container';
+      } else if (!this.isOwned(project, container.Id)) {
+        reason = 'not the live container of the project or a preview';
+      }
+      if (!reason) continue;
+
+      record({
+        kind: 'orphaned-container',
+        projectId: project?._id || container.Labels['deployflow.project.id'],
+        subject: container.Names?.[0]?.slice(1) || container.Id.slice(0, 12),
+        detail: reason,
+        action: await this.repair(() => dockerService.stopContainer(container.Id), 'removed'),
+      });
+    }
+  }
+
+  /**
+   * Site configs of hosts nobody serves, and deployed sites without one:
+   * server apps and their previews, and static projects with active custom
+   * domains (whose config holds only those domains' servers).
+   */
+  async reconcileSites(sites, projects, record) {
+    const expected = new Map(); // host → { project, restore } where restore rewrites the config
+    for (const project of projects) {
+      if (project.buildType === 'static') {
+        if (project.activeDeployment && project.domains.some((domain) => domain.active)) {
+          expected.set(deploymentService.siteHost(project), {
+            project,
+            restore: () => deploymentService.applyCustomDomains(project),
+          });
+        }
+        continue;
+      }
+
+      const sites = [{ containerId: project.containerId, activeDeployment: project.activeDeployment }];
+      for (const preview of project.previews || []) sites.push(preview);
+      for (const { slug, containerId, activeDeployment } of sites) {
+        if (!containerId) continue;
+        const port = project.deployments.id(activeDeployment)?.port;
+        expected.set(deploymentService.siteHost(project, slug), {
+          project,
+          restore: port && (() => deploymentService.configureNginx(
+            deploymentService.siteLabel(project, slug),
+            port,
+            slug ? [] : project.domains
+          )),
+        });
+      }
+    }
+
+    // A first deployment installs its site config before the project records the container
+    const building = new Set(projects.flatMap((project) => project.deployments
+      .filter((d) => d.status === 'deploying')
+      .map((d) => deploymentService.siteHost(project, d.previewSlug))));
+
+    const enabled = new Set(sites);
+    for (const host of sites) {
+      if (!deploymentService.isPlatformHost(host) || expected.has(host) || building.has(host)) continue;
+      record({
+        kind: 'orphaned-site',
+        projectId: null,
+        subject: host,
+        detail: 'no deployment uses this site config',
+        action: await this.repair(() => nginxService.removeSite(host), 'removed'),
+      });
+    }
+
+    for (const [host, { project, restore }] of expected) {
+      if (enabled.has(host) || !restore || project.status === 'deploying') continue;
+      record({
+        kind: 'missing-site',
+        projectId: project._id,
+        subject: host,
+        detail: 'deployed site has no nginx config',
+        action: await this.repair(restore, 'reconfigured'),
+      });
+    }
+  }
+
+  isOwned(project, containerId) {
+    const owners = [project.containerId, ...(project.previews || []).map((preview) => preview.containerId)];
+    return project.buildType === 'server' && owners.some((id) => id && containerId.startsWith(id));
+  }
+
+  // Recorded ids may be full or short
+  findContainer(containersById, containerId) {
+    return containersById.get(containerId)
+      || [...containersById.values()].find((container) => container.Id.startsWith(containerId));
+  }
+
+  // Runs a repair unless reporting only; resolves to the action taken
+  async repair(fix, action) {
+    if (!RECONCILE_REPAIR) return 'none';
+    try {
+      await fix();
+      return action;
+    } catch (error) {
+      return `failed: ${error.message}`;
+    }
+  }
+}
+
+export const reconcilerService = new ReconcilerService();
@@ -0,0 +1,95 @@
+// runtimeLogService.js
+import Project from '../models/Project.js';
+import { dockerService } from './dockerService.js';
+import { io } from '../server.js';
+
+// Wait before looking for a replacement container once a followed one stops;
+// a deployment records its new container just after retiring the old one
+const RESUME_DELAY = 5 * 1000;
+
+const logRoom = (projectId) => `runtime-logs-${projectId}`;
+
+/**
+ * Live stdout/stderr of production server containers over socket.io. One
+ * Docker log stream per project is shared by every socket following it and
+ * closed once the last one leaves.
+ */
+class RuntimeLogService {
+  constructor() {
+    this.streams = new Map(); // projectId → { containerId, stop }
+  }
+
+  // Callers check that the socket's user owns the project (socketService)
+  async follow(socket, projectId) {
+    socket.join(logRoom(projectId));
+    await this.startStream(String(projectId));
+  }
+
+  unfollow(socket, projectId) {
+    socket.leave(logRoom(projectId));
+    this.stopIfIdle(String(projectId));
+  }
+
+  // socket.io drops the socket from its rooms right after `disconnecting`
+  unfollowAll(socket) {
+    for (const room of [...socket.rooms]) {
+      if (room.startsWith('runtime-logs-')) {
+        this.unfollow(socket, room.slice('runtime-logs-'.length));
+      }
+    }
+  }
+
+  async startStream(projectId, { previousContainerId } = {}) {
+    if (this.streams.has(projectId)) return;
+    // Claimed before any await so concurrent follows share one stream
+    const entry = { containerId: null, stop: null };
+    this.streams.set(projectId, entry);
+
+    try {
+      const project = await Project.findById(projectId).select('buildType containerId');
+      if (project?.buildType !== 'server' || !project.containerId || project.containerId === previousContainerId) {
+        this.streams.delete(projectId);
+        io.to(logRoom(projectId)).emit('runtime-logs-ended', { reason: 'No running container' });
+        return;
+      }
+
+      entry.containerId = project.containerId;
+      entry.stop = await dockerService.followContainerLogs(project.containerId, {
+        since: Math.floor(Date.now() / 1000),
+        onLog: (log) => io.to(logRoom(projectId)).emit('runtime-log', log),
+        onEnd: () => this.handleEnd(projectId, entry),
+      });
+      // Everyone left while the stream was opening
+      if (this.streams.get(projectId) !== entry) entry.stop();
+    } catch (error) {
+      console.error(`Failed to follow runtime logs for project ${projectId}:`, error);
+      if (this.streams.get(projectId) === entry) this.streams.delete(projectId);
+      io.to(logRoom(projectId)).emit('runtime-logs-ended', { reason: error.message });
+    }
+  }
+
+  // The container stopped or was replaced: resume on its successor, if any
+  handleEnd(projectId, entry) {
+    if (this.streams.get(projectId) !== entry) return;
+    this.streams.delete(projectId);
+
+    setTimeout(() => {
+      if (this.hasFollowers(projectId)) {
+        this.startStream(projectId, { previousContainerId: entry.containerId });
+      }
+    }, RESUME_DELAY).unref();
+  }
+
+  stopIfIdle(projectId) {
+    const entry = this.streams.get(projectId);
+    if (!entry || this.hasFollowers(projectId)) return;
+    this.streams.delete(projectId);
+    entry.stop?.();
+  }
+
+  hasFollowers(projectId) {
+    return (io.sockets.adapter.rooms.get(logRoom(projectId))?.size || 0) > 0;
+  }
+}
+
+export const runtimeLogService = new RuntimeLogService();
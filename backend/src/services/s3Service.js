@@ -64,7 +64,8 @@ class S3Service {
       const fullPath = path.join(dir, item.name);
       if (item.isDirectory()) {
         files.push(...(await this.getFilesRecursively(fullPath)));
-      } else {
+      } else if (item.isFile()) {
+        // Symlinks are skipped: build output must not be able to point at host files
         files.push(fullPath);
       }
     }
@@ -72,32 +73,65 @@ class S3Service {
     return files;
   }
 
-  // Delete files from S3
-  async deleteFiles(s3Path) {
-    console.log("Deleting S3 files at path:", s3Path);
-    try {
+  // List the immediate "subdirectories" and files directly under a prefix
+  async listDirectory(prefix) {
+    const prefixes = [];
+    const keys = [];
+    let ContinuationToken;
+
+    do {
       const listCommand = new ListObjectsV2Command({
         Bucket: this.bucketName,
-        Prefix: s3Path,
+        Prefix: prefix,
+        Delimiter: "/",
+        ContinuationToken,
       });
+      const page = await this.s3.send(listCommand);
 
-      const objects = await this.s3.send(listCommand);
+      prefixes.push(...(page.CommonPrefixes || []).map((p) => p.Prefix));
+      keys.push(...(page.Contents || []).map((obj) => obj.Key));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
 
-      if (objects.Contents?.length > 0) {
-        const deleteParams = {
-          Bucket: this.bucketName,
-          Delete: {
-            Objects: objects.Contents.map((obj) => ({ Key: obj.Key })),
-          },
-        };
+    return { prefixes, keys };
+  }
 
-        const deleteCommand = new DeleteObjectsCommand(deleteParams);
-        await this.s3.send(deleteCommand);
-      }
+  // Delete files from S3
+  async deleteFiles(s3Path) {
+    console.log("Deleting S3 files at path:", s3Path);
+    try {
+      let ContinuationToken;
+
+      do {
+        const listCommand = new ListObjectsV2Command({
+          Bucket: this.bucketName,
+          Prefix: s3Path,
+          ContinuationToken,
+        });
+
+        const objects = await this.s3.send(listCommand);
+        await this.deleteKeys((objects.Contents || []).map((obj) => obj.Key));
+        ContinuationToken = objects.IsTruncated ? objects.NextContinuationToken : undefined;
+      } while (ContinuationToken);
     } catch (error) {
       console.error("Failed to delete S3 files:", error);
     }
   }
+
+  // Delete specific keys (DeleteObjects accepts at most 1000 per call)
+  async deleteKeys(keys) {
+    for (let i = 0; i < keys.length; i += 1000) {
+      const deleteParams = {
+        Bucket: this.bucketName,
+        Delete: {
+          Objects: keys.slice(i, i + 1000).map((Key) => ({ Key })),
+        },
+      };
+
+      const deleteCommand = new DeleteObjectsCommand(deleteParams);
+      await this.s3.send(deleteCommand);
+    }
+  }
 }
 
 export const s3Service = new S3Service();
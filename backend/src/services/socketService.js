@@ -1,10 +1,26 @@
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import { authenticateSocket } from '../middleware/auth.js';
+import { runtimeLogService } from './runtimeLogService.js';
+
+// Project rooms carry deployment logs and runtime output, so only the owner may join
+const ownsProject = (socket, projectId) =>
+  mongoose.isValidObjectId(projectId) && Project.exists({ _id: projectId, owner: socket.user._id });
+
 export const setupSocketHandlers = (io) => {
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
 
-    socket.on('join-project', (projectId) => {
-      socket.join(`project-${projectId}`);
-      console.log(`User ${socket.id} joined project ${projectId}`);
+    socket.on('join-project', async (projectId) => {
+      try {
+        if (!(await ownsProject(socket, projectId))) return;
+        socket.join(`project-${projectId}`);
+        console.log(`User ${socket.id} joined project ${projectId}`);
+      } catch (error) {
+        console.error(`Failed to join project ${projectId}:`, error);
+      }
     });
 
     socket.on('leave-project', (projectId) => {
@@ -12,6 +28,24 @@ export const setupSocketHandlers = (io) => {
       console.log(`User ${socket.id} left project ${projectId}`);
     });
 
+    // Live container output for server projects (see runtimeLogService)
+    socket.on('follow-runtime-logs', async (projectId) => {
+      try {
+        if (!(await ownsProject(socket, projectId))) return;
+        await runtimeLogService.follow(socket, projectId);
+      } catch (error) {
+        console.error(`Failed to follow runtime logs for project ${projectId}:`, error);
+      }
+    });
+
+    socket.on('unfollow-runtime-logs', (projectId) => {
+      runtimeLogService.unfollow(socket, projectId);
+    });
+
+    socket.on('disconnecting', () => {
+      runtimeLogService.unfollowAll(socket);
+    });
+
     socket.on('disconnect', () => {
       console.log('User disconnected:', socket.id);
     });
@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// SSH wire format: uint32 length followed by the bytes
+const sshString = (value) => {
+  const buffer = Buffer.from(value);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(buffer.length);
+  return Buffer.concat([length, buffer]);
+};
+
+/**
+ * Generate an ECDSA P-256 SSH key pair for use as a repository deploy key.
+ * Returns the private key as PEM (readable by OpenSSH) and the public key in
+ * `authorized_keys` format, ready to paste into GitHub/GitLab.
+ */
+export const generateDeployKey = async (comment) => {
+  const { publicKey, privateKey } = await generateKeyPair('ec', { namedCurve: 'P-256' });
+
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  const point = Buffer.concat([
+    Buffer.from([0x04]), // uncompressed point
+    Buffer.from(x, 'base64url'),
+    Buffer.from(y, 'base64url'),
+  ]);
+  const blob = Buffer.concat([
+    sshString('ecdsa-sha2-nistp256'),
+    sshString('nistp256'),
+    sshString(point),
+  ]);
+
+  return {
+    privateKey: privateKey.export({ type: 'sec1', format: 'pem' }),
+    publicKey: `ecdsa-sha2-nistp256 ${blob.toString('base64')}${comment ? ` ${comment}` : ''}`,
+  };
+};
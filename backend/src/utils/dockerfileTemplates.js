@@ -0,0 +1,254 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Default Dockerfiles for server projects without their own. Each template
+ * builds in one stage and copies only what the app needs to run into a slim
+ * final image, running as a non-root user and listening on $PORT.
+ * Templates are tried in order; repos with several manifests (a Rails or
+ * Django app with a package.json for assets) resolve to the backend language.
+ */
+
+// Build-time variables are declared per stage; ARG scope ends at the next FROM
+const argLines = (names) =>
+  (names.length > 0 ? `\n# Build-time variables\n${names.map((name) => `ARG ${name}`).join('\n')}\n` : '');
+
+// `web:` process from a Heroku-style Procfile
+const procfileCommand = async (projectPath) => {
+  const procfile = await fs.readFile(path.join(projectPath, 'Procfile'), 'utf8').catch(() => '');
+  return procfile.match(/^web:\s*(.+)$/m)?.[1].trim() || null;
+};
+
+// Django projects are served by gunicorn from the package holding wsgi.py
+const djangoStartCommand = async (projectPath, files) => {
+  for (const dir of files) {
+    if (await fs.access(path.join(projectPath, dir, 'wsgi.py')).then(() => true, () => false)) {
+      return `gunicorn --bind 0.0.0.0:$PORT ${dir}.wsgi`;
+    }
+  }
+  return null;
+};
+
+const TEMPLATES = [
+  {
+    id: 'go',
+    name: 'Go',
+    matches: (files) => files.has('go.mod'),
+    render: ({ buildArgNames, port }) => `# ---- Build ----
+FROM golang:1.22-alpine AS build
+WORKDIR /src
+
+# Download modules first for better docker cache usage
+COPY go.mod go.sum* ./
+RUN go mod download
+
+COPY . .
+${argLines(buildArgNames)}
+RUN CGO_ENABLED=0 go build -trimpath -ldflags="-s -w" -o /out/app .
+
+# ---- Runtime ----
+FROM gcr.io/distroless/static-debian12:nonroot
+COPY --from=build /out/app /app
+
+ENV PORT=${port}
+EXPOSE ${port}
+
+USER nonroot
+ENTRYPOINT ["/app"]
+`,
+  },
+  {
+    id: 'static-binary',
+    name: 'Static binary (Rust)',
+    matches: (files) => files.has('Cargo.toml'),
+    render: async ({ projectPath, buildArgNames, port }) => {
+      const manifest = await fs.readFile(path.join(projectPath, 'Cargo.toml'), 'utf8');
+      const binary = manifest.match(/^\s*name\s*=\s*"([^"]+)"/m)?.[1] || 'app';
+
+      return `# ---- Build ----
+# Alpine's Rust targets musl, so the binary is fully static
+FROM rust:1-alpine AS build
+RUN apk add --no-cache musl-dev
+WORKDIR /src
+
+COPY . .
+${argLines(buildArgNames)}
+RUN cargo build --release --locked || cargo build --release
+RUN cp target/release/${binary} /app
+
+# ---- Runtime ----
+FROM gcr.io/distroless/static-debian12:nonroot
+COPY --from=build /app /app
+
+ENV PORT=${port}
+EXPOSE ${port}
+
+USER nonroot
+ENTRYPOINT ["/app"]
+`;
+    },
+  },
+  {
+    id: 'python',
+    name: 'Python',
+    matches: (files) => ['requirements.txt', 'pyproject.toml'].some((file) => files.has(file)),
+    render: async ({ projectPath, files, buildArgNames, port }) => {
+      // requirements.txt installs before the source is copied; pyproject needs the package
+      const install = files.has('requirements.txt')
+        ? 'COPY requirements.txt ./\nRUN pip install --no-cache-dir -r requirements.txt'
+        : 'COPY . .\nRUN pip install --no-cache-dir .';
+      const start = await procfileCommand(projectPath)
+        || (files.has('manage.py') && await djangoStartCommand(projectPath, files))
+        || (files.has('main.py') ? 'python main.py' : 'python app.py');
+
+      return `# ---- Build ----
+FROM python:3.12-slim AS build
+WORKDIR /app
+
+# Dependencies go into a virtualenv that is copied to the runtime image
+RUN python -m venv /opt/venv
+ENV PATH="/opt/venv/bin:$PATH"
+${argLines(buildArgNames)}
+${install}
+
+# ---- Runtime ----
+FROM python:3.12-slim
+WORKDIR /app
+
+COPY --from=build /opt/venv /opt/venv
+ENV PATH="/opt/venv/bin:$PATH" PYTHONUNBUFFERED=1
+
+COPY . .
+
+# Non-root user for security
+RUN useradd --system --uid 1001 app && chown -R app /app
+USER app
+
+ENV PORT=${port}
+EXPOSE ${port}
+
+CMD ${start}
+`;
+    },
+  },
+  {
+    id: 'ruby',
+    name: 'Ruby',
+    matches: (files) => files.has('Gemfile'),
+    render: async ({ projectPath, files, buildArgNames, port }) => {
+      // Deployment mode refuses to run without a lockfile
+      const bundleEnv = `ENV BUNDLE_PATH=/usr/local/bundle BUNDLE_WITHOUT=development:test${
+        files.has('Gemfile.lock') ? ' BUNDLE_DEPLOYMENT=1' : ''
+      }`;
+      const start = await procfileCommand(projectPath)
+        || (files.has('bin') && await fs.access(path.join(projectPath, 'bin', 'rails')).then(() => true, () => false)
+          ? 'bundle exec rails server -b 0.0.0.0 -p $PORT'
+          : 'bundle exec rackup --host 0.0.0.0 --port $PORT');
+
+      return `# ---- Build ----
+FROM ruby:3.3-slim AS build
+WORKDIR /app
+
+# Native extensions need a compiler; it stays out of the runtime image
+RUN apt-get update && apt-get install -y --no-install-recommends build-essential && rm -rf /var/lib/apt/lists/*
+${bundleEnv}
+
+COPY Gemfile Gemfile.lock* ./
+${argLines(buildArgNames)}
+RUN bundle install
+
+# ---- Runtime ----
+FROM ruby:3.3-slim
+WORKDIR /app
+
+${bundleEnv}
+COPY --from=build /usr/local/bundle /usr/local/bundle
+COPY . .
+
+# Non-root user for security
+RUN useradd --system --uid 1001 app && chown -R app /app
+USER app
+
+ENV PORT=${port}
+EXPOSE ${port}
+
+CMD ${start}
+`;
+    },
+  },
+  {
+    id: 'node',
+    name: 'Node.js',
+    matches: (files) => files.has('package.json'),
+    render: async ({ projectPath, buildArgNames, install, port }) => {
+      const { lockfile, command = 'npm install', productionCommand = 'npm install --omit=dev', dockerSetup } = install;
+      const pkg = JSON.parse(await fs.readFile(path.join(projectPath, 'package.json'), 'utf8').catch(() => '{}'));
+      const manifests = `COPY package.json ${lockfile ? `${lockfile} ` : ''}./`;
+      const setup = dockerSetup ? `\n# Package manager\nRUN ${dockerSetup}\n` : '';
+      const runBuild = install.packageManager === 'yarn' ? 'yarn build' : `${install.packageManager || 'npm'} run build`;
+
+      // Apps with a build script are built with dev dependencies, then shipped without them
+      const buildStage = pkg.scripts?.build ? `
+# ---- Build ----
+FROM node:18-alpine AS build
+WORKDIR /app
+${manifests}
+${argLines(buildArgNames)}${setup}
+RUN ${command}
+COPY . .
+RUN ${runBuild} && rm -rf node_modules
+` : '';
+
+      return `# ---- Prod deps ----
+FROM node:18-alpine AS deps
+WORKDIR /app
+
+# Copy package manifests first for better docker cache usage
+${manifests}
+${argLines(buildArgNames)}${setup}
+RUN ${productionCommand}
+${buildStage}
+# ---- Runtime ----
+FROM node:18-alpine
+WORKDIR /app
+
+# Install curl for healthcheck
+RUN apk add --no-cache curl
+
+${pkg.scripts?.build ? 'COPY --from=build /app ./' : 'COPY . .'}
+COPY --from=deps /app/node_modules ./node_modules
+
+# Non-root user for security
+RUN addgroup -g 1001 -S nodejs && adduser -S nodejs -u 1001
+RUN chown -R nodejs:nodejs /app
+USER nodejs
+
+# Default port (match your app's PORT usage)
+ENV NODE_ENV=production
+ENV PORT=${port}
+
+EXPOSE ${port}
+
+CMD ["npm", "start"]
+`;
+    },
+  },
+];
+
+// Node is what every server project got before templates existed
+const FALLBACK = 'node';
+
+/**
+ * Pick the template for the project in `projectPath` and render it.
+ * `install` is frameworkService.installPlan() for Node projects; `port` is
+ * the port the app is told to listen on.
+ * Resolves to `{ template, name, dockerfile }`.
+ */
+export const generateDockerfile = async (projectPath, { buildArgNames = [], install = {}, port = 3000 } = {}) => {
+  const files = new Set(await fs.readdir(projectPath).catch(() => []));
+  const template = TEMPLATES.find((candidate) => candidate.matches(files))
+    || TEMPLATES.find((candidate) => candidate.id === FALLBACK);
+
+  const dockerfile = await template.render({ projectPath, files, buildArgNames, install, port });
+  return { template: template.id, name: template.name, dockerfile };
+};
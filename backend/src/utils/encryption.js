@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1:';
+
+// AES-256 key derived from ENCRYPTION_KEY; read lazily so .env is loaded first
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a secret for storage with AES-256-GCM.
+ * Output: `enc:v1:<iv>:<auth tag>:<ciphertext>`, base64 parts.
+ */
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+};
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Decrypt a value produced by `encrypt`. Throws if it was tampered with or
+ * encrypted under a different ENCRYPTION_KEY.
+ */
+export const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    throw new Error('Value is not encrypted');
+  }
+
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
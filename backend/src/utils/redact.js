@@ -0,0 +1,11 @@
+// Shorter values ("1", "true", ...) would mask unrelated log text
+const MIN_REDACTED_LENGTH = 6;
+
+/**
+ * Mask every occurrence of `secrets` in `message`. Pass them longest first,
+ * so a secret containing another is masked whole.
+ */
+export const redact = (message, secrets = []) => secrets.reduce(
+  (masked, secret) => (secret.length >= MIN_REDACTED_LENGTH ? masked.split(secret).join('********') : masked),
+  String(message)
+);
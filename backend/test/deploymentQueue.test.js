@@ -0,0 +1,118 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Project from '../src/models/Project.js';
+import { deploymentQueue } from '../src/services/deploymentQueue.js';
+
+afterEach(() => {
+  mock.restoreAll();
+  deploymentQueue.running.clear();
+  deploymentQueue.started = false;
+  deploymentQueue.worker = null;
+});
+
+// Stand-in for a project document as returned by Mongoose
+const projectDoc = (id, deployments) => {
+  const list = [...deployments];
+  list.id = (deploymentId) => list.find((d) => String(d._id) === String(deploymentId));
+  return { _id: id, deployments: list };
+};
+
+test('claimNext claims the oldest queued deployment of a project with nothing building', async () => {
+  const older = projectDoc('p1', [{ _id: 'd1', status: 'queued', queuedAt: new Date(1000) }]);
+  const newer = projectDoc('p2', [{ _id: 'd2', status: 'queued', queuedAt: new Date(2000) }]);
+  const find = mock.method(Project, 'find', async () => [newer, older]);
+  const claimed = projectDoc('p1', [{ _id: 'd1', status: 'deploying' }]);
+  const findOneAndUpdate = mock.method(Project, 'findOneAndUpdate', async () => claimed);
+
+  const job = await deploymentQueue.claimNext();
+
+  assert.deepEqual(find.mock.calls[0].arguments[0], {
+    $and: [{ 'deployments.status': 'queued' }, { 'deployments.status': { $ne: 'deploying' } }],
+  });
+  const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: 'p1',
+    deployments: { $elemMatch: { _id: 'd1', status: 'queued' } },
+    'deployments.status': { $ne: 'deploying' },
+  });
+  assert.equal(update.$set['deployments.$[job].status'], 'deploying');
+  assert.deepEqual(options.arrayFilters, [{ 'job._id': 'd1' }]);
+  assert.equal(job.project, claimed);
+  assert.equal(job.deployment.status, 'deploying');
+});
+
+test('claimNext moves on to the next project when a claim loses the race', async () => {
+  mock.method(Project, 'find', async () => [
+    projectDoc('p1', [{ _id: 'd1', status: 'queued', queuedAt: new Date(1000) }]),
+    projectDoc('p2', [{ _id: 'd2', status: 'queued', queuedAt: new Date(2000) }]),
+  ]);
+  const claimed = projectDoc('p2', [{ _id: 'd2', status: 'deploying' }]);
+  const findOneAndUpdate = mock.method(Project, 'findOneAndUpdate', async (filter) =>
+    (filter._id === 'p2' ? claimed : null));
+
+  const job = await deploymentQueue.claimNext();
+
+  assert.equal(findOneAndUpdate.mock.callCount(), 2);
+  assert.equal(job.project, claimed);
+});
+
+test('claimNext returns null when nothing is runnable', async () => {
+  mock.method(Project, 'find', async () => []);
+  const findOneAndUpdate = mock.method(Project, 'findOneAndUpdate', async () => null);
+
+  assert.equal(await deploymentQueue.claimNext(), null);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('cancel aborts a running deployment without touching the database', async () => {
+  const controller = new AbortController();
+  deploymentQueue.running.set('d1', controller);
+  const updateOne = mock.method(Project, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+  assert.equal(await deploymentQueue.cancel('p1', 'd1'), true);
+  assert.equal(controller.signal.aborted, true);
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test('cancel marks a queued deployment cancelled only while it is still queued', async () => {
+  const updateOne = mock.method(Project, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await deploymentQueue.cancel('p1', 'd1'), true);
+  const [filter, update, options] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: 'p1', deployments: { $elemMatch: { _id: 'd1', status: 'queued' } } });
+  assert.equal(update.$set['deployments.$[job].status'], 'cancelled');
+  assert.ok(update.$set['deployments.$[job].completedAt'] instanceof Date);
+  assert.deepEqual(options.arrayFilters, [{ 'job._id': 'd1' }]);
+
+  // Already claimed, finished or cancelled
+  updateOne.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+  assert.equal(await deploymentQueue.cancel('p1', 'd1'), false);
+});
+
+test('drain claims nothing before start and runs claimed jobs after', async () => {
+  const job = { project: projectDoc('p1', []), deployment: { _id: 'd1' } };
+  const claimNext = mock.method(deploymentQueue, 'claimNext', async () => null);
+  claimNext.mock.mockImplementationOnce(async () => job);
+  mock.method(console, 'log', () => {});
+
+  await deploymentQueue.drain();
+  assert.equal(claimNext.mock.callCount(), 0);
+
+  let finish;
+  const worker = mock.fn((project, deployment, signal) => {
+    assert.equal(deploymentQueue.running.get('d1').signal, signal);
+    return new Promise((resolve) => {
+      finish = resolve;
+    });
+  });
+  deploymentQueue.process(worker);
+  await deploymentQueue.start();
+
+  assert.equal(worker.mock.callCount(), 1);
+  assert.deepEqual(worker.mock.calls[0].arguments.slice(0, 2), [job.project, job.deployment]);
+  assert.equal(deploymentQueue.running.has('d1'), true);
+
+  finish();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(deploymentQueue.running.has('d1'), false);
+});
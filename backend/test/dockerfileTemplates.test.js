@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { generateDockerfile } from '../src/utils/dockerfileTemplates.js';
+
+const dirs = [];
+after(() => Promise.all(dirs.map((dir) => fs.rm(dir, { recursive: true, force: true }))));
+
+// A checkout holding `files` (name → contents)
+const project = async (files) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dockerfile-test-'));
+  dirs.push(dir);
+  for (const [name, contents] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+    await fs.writeFile(path.join(dir, name), contents);
+  }
+  return dir;
+};
+
+test('generateDockerfile picks the template from the manifest', async () => {
+  const cases = [
+    [{ 'go.mod': 'module app' }, 'go'],
+    [{ 'Cargo.toml': '[package]\nname = "server"' }, 'static-binary'],
+    [{ 'requirements.txt': 'flask' }, 'python'],
+    [{ 'pyproject.toml': '[project]' }, 'python'],
+    [{ Gemfile: "source 'https://rubygems.org'" }, 'ruby'],
+    [{ 'package.json': '{}' }, 'node'],
+  ];
+  for (const [files, template] of cases) {
+    assert.equal((await generateDockerfile(await project(files))).template, template);
+  }
+});
+
+test('generateDockerfile prefers the backend language over a package.json', async () => {
+  const django = await project({ 'package.json': '{}', 'requirements.txt': 'django', 'manage.py': '' });
+  assert.equal((await generateDockerfile(django)).template, 'python');
+
+  const rails = await project({ 'package.json': '{}', Gemfile: '' });
+  assert.equal((await generateDockerfile(rails)).template, 'ruby');
+});
+
+test('generateDockerfile falls back to Node without a manifest', async () => {
+  const { template, name } = await generateDockerfile(await project({ 'index.js': '' }));
+  assert.equal(template, 'node');
+  assert.equal(name, 'Node.js');
+});
+
+test('generateDockerfile renders the port, build args and start command', async () => {
+  const cargo = await project({ 'Cargo.toml': '[package]\nname = "server"' });
+  const { dockerfile } = await generateDockerfile(cargo, { buildArgNames: ['API_URL'], port: 8080 });
+  assert.match(dockerfile, /^ARG API_URL$/m);
+  assert.match(dockerfile, /^ENV PORT=8080$/m);
+  assert.match(dockerfile, /cp target\/release\/server \/app/);
+
+  const django = await project({ 'requirements.txt': '', 'manage.py': '', 'mysite/wsgi.py': '' });
+  assert.match((await generateDockerfile(django)).dockerfile, /^CMD gunicorn --bind 0\.0\.0\.0:\$PORT mysite\.wsgi$/m);
+
+  const procfile = await project({ Gemfile: '', Procfile: 'web: bundle exec puma -p $PORT\n' });
+  assert.match((await generateDockerfile(procfile)).dockerfile, /^CMD bundle exec puma -p \$PORT$/m);
+});
+
+test('generateDockerfile builds Node apps with their package manager', async () => {
+  const app = await project({ 'package.json': JSON.stringify({ scripts: { build: 'tsc' } }) });
+  const { dockerfile } = await generateDockerfile(app, {
+    install: { packageManager: 'pnpm', lockfile: 'pnpm-lock.yaml', command: 'pnpm install --frozen-lockfile' },
+  });
+  assert.match(dockerfile, /^COPY package\.json pnpm-lock\.yaml \.\/$/m);
+  assert.match(dockerfile, /^RUN pnpm install --frozen-lockfile$/m);
+  assert.match(dockerfile, /^RUN pnpm run build && rm -rf node_modules$/m);
+  assert.match(dockerfile, /^ENV PORT=3000$/m);
+});
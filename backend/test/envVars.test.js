@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Project from '../src/models/Project.js';
+import { decrypt } from '../src/utils/encryption.js';
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+test('envVarUpdate encrypts values and masks their preview', () => {
+  const { $set, $unset } = Project.envVarUpdate({
+    API_TOKEN: 'sk_live_1234567890abcd',
+    NODE_ENV: { value: 'production', scope: 'runtime' },
+  });
+
+  const token = $set['envVars.API_TOKEN'];
+  assert.equal(decrypt(token.value), 'sk_live_1234567890abcd');
+  assert.equal(token.preview, '••••••••abcd');
+  assert.equal(token.scope, 'both');
+
+  const nodeEnv = $set['envVars.NODE_ENV'];
+  assert.equal(decrypt(nodeEnv.value), 'production');
+  assert.equal(nodeEnv.preview, '••••••••');
+  assert.equal(nodeEnv.scope, 'runtime');
+  assert.deepEqual($unset, {});
+});
+
+test('envVarUpdate changes only the scope, removes on null and ignores previews', () => {
+  const { $set, $unset } = Project.envVarUpdate({
+    BUILD_ONLY: { scope: 'build' },
+    OLD: null,
+    KEPT: { preview: '••••••••', scope: 'both' },
+  });
+
+  assert.deepEqual($set, { 'envVars.BUILD_ONLY.scope': 'build' });
+  assert.deepEqual($unset, { 'envVars.OLD': '' });
+});
+
+test('invalidEnvVarChange accepts values, removals and returned previews', () => {
+  assert.equal(Project.invalidEnvVarChange(undefined), null);
+  assert.equal(Project.invalidEnvVarChange({
+    A: 'value',
+    B: { value: 'value', scope: 'build' },
+    C: null,
+    D: { preview: '••••••••', scope: 'both' },
+  }), null);
+});
+
+test('invalidEnvVarChange rejects bad names and scopes', () => {
+  assert.equal(Project.invalidEnvVarChange({ '1ABC': 'x' }), 'Invalid environment variable name: 1ABC');
+  assert.equal(Project.invalidEnvVarChange({ 'A-B': 'x' }), 'Invalid environment variable name: A-B');
+  assert.match(Project.invalidEnvVarChange({ A: { value: 'x', scope: 'deploy' } }), /^Invalid scope for A/);
+});
+
+test('invalidEnvVarChange rejects values that are not strings', () => {
+  for (const change of [42, true, [], { value: 42 }, { value: null }]) {
+    assert.equal(Project.invalidEnvVarChange({ A: change }), 'Invalid value for A: must be a string');
+  }
+});
+
+test('invalidEnvVarChange only allows scope changes to existing variables', () => {
+  assert.equal(Project.invalidEnvVarChange({ A: { scope: 'build' } }), 'Unknown environment variable: A');
+  assert.equal(Project.invalidEnvVarChange({ A: { scope: 'build' } }, ['B']), 'Unknown environment variable: A');
+  assert.equal(Project.invalidEnvVarChange({ A: { scope: 'build' } }, new Map([['A', {}]]).keys()), null);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPlan, planLimitError } from '../src/config/plans.js';
+
+test('planLimitError allows settings within the plan and unset ones', () => {
+  assert.equal(planLimitError({ memoryMb: 512, cpus: 1, pidsLimit: 256 }, 'free'), null);
+  assert.equal(planLimitError({}, 'free'), null);
+  assert.equal(planLimitError(undefined, 'pro'), null);
+});
+
+test('planLimitError reports the first setting over the plan', () => {
+  assert.equal(planLimitError({ memoryMb: 1024 }, 'free'), 'The Free plan allows up to 512 MB of memory');
+  assert.equal(planLimitError({ cpus: 3 }, 'pro'), 'The Pro plan allows up to 2 CPUs');
+  assert.equal(planLimitError({ pidsLimit: 5000 }, 'business'), 'The Business plan allows up to 4096 processes');
+});
+
+test('planLimitError treats unknown plans as free', () => {
+  assert.equal(getPlan('enterprise').name, 'Free');
+  assert.match(planLimitError({ memoryMb: 1024 }, undefined), /^The Free plan/);
+});
+
+test('planLimitError keeps settings saved under a bigger plan until they are raised', () => {
+  const current = { memoryMb: 2048, cpus: 2, pidsLimit: 1024 };
+  assert.equal(planLimitError(current, 'free', current), null);
+  assert.equal(planLimitError({ ...current, memoryMb: 1024 }, 'free', current), null);
+  assert.equal(planLimitError({ ...current, memoryMb: 4096 }, 'free', current), 'The Free plan allows up to 512 MB of memory');
+});
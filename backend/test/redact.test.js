@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact } from '../src/utils/redact.js';
+
+test('redact masks every occurrence of each secret', () => {
+  assert.equal(
+    redact('token=ghp_abcdef and again ghp_abcdef', ['ghp_abcdef']),
+    'token=******** and again ********'
+  );
+});
+
+test('redact masks a secret containing another whole when given longest first', () => {
+  assert.equal(redact('password123456', ['password123456', 'password']), '********');
+});
+
+test('redact leaves short values alone', () => {
+  assert.equal(redact('NODE_ENV=true', ['true']), 'NODE_ENV=true');
+});
+
+test('redact stringifies messages and handles no secrets', () => {
+  assert.equal(redact(404), '404');
+  assert.equal(redact('nothing to hide', undefined), 'nothing to hide');
+});
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { Edit3, GitBranch, Trash2 } from 'lucide-react';
+
+const DEFAULT_BUILD_CONFIG = {
+  rootDirectory: '.',
+  buildCommand: 'npm run build',
+  publishDirectory: 'dist',
+};
+
+// `fallback` is shown when the field is unset; `hint` also makes it the input's placeholder
+const COMMON_FIELDS = [
+  { field: 'rootDirectory', label: 'Root Directory', fallback: '.' },
+  { field: 'installCommand', label: 'Install Command', fallback: 'Detected from lockfile', hint: true },
+];
+
+const FIELDS_BY_TYPE = {
+  static: [
+    { field: 'buildCommand', label: 'Build Command', fallback: 'npm run build' },
+    { field: 'publishDirectory', label: 'Publish Directory', fallback: 'dist' },
+  ],
+  server: [
+    { field: 'startCommand', label: 'Start Command', fallback: 'Dockerfile CMD', hint: true },
+    { field: 'containerPort', label: 'Container Port', fallback: 3000, type: 'number' },
+    { field: 'dockerfilePath', label: 'Dockerfile Path', fallback: 'Dockerfile' },
+  ],
+};
+
+const inputClassName = 'w-full px-3 py-1.5 text-sm rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none';
+const valueClassName = 'text-sm text-gray-800 font-mono bg-gray-50 px-2 py-1 rounded';
+
+/**
+ * Production branch and build settings. `onSave({ productionBranch,
+ * buildConfig })` resolves to true once saved; the form stays open otherwise.
+ * Static sites also get the build cache reset.
+ */
+const BuildConfigPanel = ({
+  productionBranch,
+  buildConfig,
+  buildType,
+  onSave,
+  clearingCache,
+  cacheCleared,
+  onClearCache,
+}) => {
+  const current = {
+    productionBranch: productionBranch || '',
+    buildConfig: buildConfig || DEFAULT_BUILD_CONFIG,
+  };
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(current);
+
+  const handleChange = (field, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      buildConfig: { ...prev.buildConfig, [field]: value },
+    }));
+  };
+
+  const handleSave = async () => {
+    if (await onSave(draft)) setEditing(false);
+  };
+
+  return (
+    <div className="border-t border-gray-200 pt-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-700">
+          Build Configuration
+        </h3>
+        <button
+          onClick={() => {
+            setEditing(!editing);
+            setDraft(current);
+          }}
+          className="text-indigo-600 hover:text-purple-600 text-sm font-medium flex items-center space-x-1 transition-colors"
+        >
+          <Edit3 className="h-4 w-4" />
+          <span>{editing ? 'Cancel' : 'Edit'}</span>
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        <div>
+          <p className="text-xs font-medium text-gray-600 mb-1">
+            Production Branch
+          </p>
+          {editing ? (
+            <input
+              type="text"
+              value={draft.productionBranch}
+              onChange={(e) => setDraft((prev) => ({ ...prev, productionBranch: e.target.value }))}
+              placeholder="default branch"
+              className={inputClassName}
+            />
+          ) : (
+            <p className={`${valueClassName} flex items-center space-x-1`}>
+              <GitBranch className="h-3 w-3 text-gray-500" />
+              <span>{productionBranch || 'default branch'}</span>
+            </p>
+          )}
+        </div>
+
+        {[...COMMON_FIELDS, ...(FIELDS_BY_TYPE[buildType] || [])].map(({ field, label, fallback, hint, type = 'text' }) => (
+          <div key={field}>
+            <p className="text-xs font-medium text-gray-600 mb-1">
+              {label}
+            </p>
+            {editing ? (
+              <input
+                type={type}
+                value={draft.buildConfig[field] ?? ''}
+                onChange={(e) => handleChange(field, e.target.value)}
+                placeholder={hint ? fallback : undefined}
+                className={inputClassName}
+              />
+            ) : (
+              <p className={valueClassName}>
+                {buildConfig?.[field] || fallback}
+              </p>
+            )}
+          </div>
+        ))}
+
+        {editing && (
+          <div className="flex space-x-2 pt-2">
+            <button
+              onClick={handleSave}
+              className="px-3 py-1.5 text-sm rounded bg-indigo-600 text-white font-medium hover:bg-indigo-700 transition-colors"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              className="px-3 py-1.5 text-sm rounded bg-gray-200 text-gray-700 font-medium hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+
+        {!editing && buildType === 'static' && (
+          <div className="flex items-center space-x-3 pt-2">
+            <button
+              onClick={onClearCache}
+              disabled={clearingCache}
+              className="px-3 py-1.5 text-sm rounded bg-gray-200 text-gray-700 font-medium hover:bg-gray-300 transition-colors flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Trash2 className="h-3 w-3" />
+              <span>{clearingCache ? 'Clearing...' : 'Clear build cache'}</span>
+            </button>
+            {cacheCleared && (
+              <span className="text-xs text-gray-500">Next deployment starts from a cold cache</span>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BuildConfigPanel;
@@ -0,0 +1,150 @@
+import React from 'react';
+import { History, RotateCcw, GitCommit, XCircle } from 'lucide-react';
+
+export const statusStyles = {
+  queued: 'bg-blue-100 text-blue-700',
+  running: 'bg-green-100 text-green-700',
+  deploying: 'bg-yellow-100 text-yellow-700 animate-pulse',
+  failed: 'bg-red-100 text-red-700',
+  superseded: 'bg-gray-200 text-gray-700',
+  cancelled: 'bg-gray-200 text-gray-700',
+  stopped: 'bg-gray-200 text-gray-700',
+};
+
+const formatSeconds = (seconds) =>
+  seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+
+const formatDuration = (startedAt, completedAt) => {
+  if (!startedAt || !completedAt) return null;
+  return formatSeconds(Math.round((new Date(completedAt) - new Date(startedAt)) / 1000));
+};
+
+const stepStyles = {
+  succeeded: 'text-green-700',
+  failed: 'text-red-700',
+  timed_out: 'text-red-700',
+  cancelled: 'text-gray-500',
+};
+
+const DeploymentsPanel = ({ deployments, selectedId, onSelect, onRollback, onCancel, rollingBack }) => {
+  const canRollback = (deployment) =>
+    deployment.status === 'superseded' && !deployment.prunedAt;
+  const canCancel = (deployment) => ['queued', 'deploying'].includes(deployment.status);
+
+  return (
+    <div className="bg-white/90 backdrop-blur-xl p-6 rounded-xl shadow-lg border border-gray-200">
+      {/* Header */}
+      <div className="flex items-center space-x-2 mb-4">
+        <History className="h-5 w-5 text-indigo-600" />
+        <h3 className="text-lg font-semibold text-gray-900">Deployments</h3>
+      </div>
+
+      {deployments.length > 0 ? (
+        <div className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+          {deployments.map((deployment) => (
+            <div
+              key={deployment._id}
+              onClick={() => onSelect(deployment._id)}
+              className={`flex items-center justify-between py-3 px-2 rounded-lg cursor-pointer transition-colors ${
+                selectedId === deployment._id ? 'bg-indigo-50' : 'hover:bg-gray-50'
+              }`}
+            >
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-semibold text-gray-900">#{deployment.version}</span>
+                  <span
+                    className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${
+                      statusStyles[deployment.status] || 'bg-gray-200 text-gray-700'
+                    }`}
+                  >
+                    {deployment.status}
+                  </span>
+                  {deployment.active && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-700">
+                      Live
+                    </span>
+                  )}
+                  {deployment.prunedAt && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-500">
+                      Expired
+                    </span>
+                  )}
+                </div>
+                {deployment.commitMessage && (
+                  <p className="text-sm text-gray-700 mt-1 truncate" title={deployment.commitAuthor}>
+                    {deployment.commitMessage}
+                  </p>
+                )}
+                <div className="flex items-center space-x-3 mt-1 text-xs text-gray-500">
+                  {deployment.commitSha && (
+                    <span className="flex items-center space-x-1 font-mono">
+                      <GitCommit className="h-3 w-3" />
+                      <span>{deployment.commitSha.slice(0, 7)}</span>
+                    </span>
+                  )}
+                  {deployment.ref && !deployment.commitSha?.startsWith(deployment.ref) && (
+                    <span className="font-mono">{deployment.ref}</span>
+                  )}
+                  <span className="capitalize">{deployment.trigger}</span>
+                  <span>{new Date(deployment.startedAt || deployment.queuedAt).toLocaleString()}</span>
+                  {formatDuration(deployment.startedAt, deployment.completedAt) && (
+                    <span>{formatDuration(deployment.startedAt, deployment.completedAt)}</span>
+                  )}
+                </div>
+                {selectedId === deployment._id && deployment.steps?.length > 0 && (
+                  <div className="mt-2 space-y-1">
+                    {deployment.steps.map((step) => (
+                      <div key={step._id} className="flex items-center space-x-3 text-xs" title={step.command}>
+                        <span className="font-mono text-gray-700 w-14">{step.name}</span>
+                        <span className={`capitalize ${stepStyles[step.status] || 'text-gray-500'}`}>
+                          {step.status?.replace('_', ' ')}
+                        </span>
+                        <span className="text-gray-500">{formatSeconds(Math.round(step.durationMs / 1000))}</span>
+                        {step.exitCode !== undefined && step.exitCode !== null && (
+                          <span className="text-gray-500">exit {step.exitCode}</span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {canCancel(deployment) && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onCancel(deployment);
+                  }}
+                  className="px-2 py-1 text-xs rounded bg-red-100 text-red-700 hover:bg-red-200 transition-colors font-medium flex items-center space-x-1"
+                >
+                  <XCircle className="h-3 w-3" />
+                  <span>Cancel</span>
+                </button>
+              )}
+
+              {canRollback(deployment) && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRollback(deployment);
+                  }}
+                  disabled={rollingBack}
+                  className="px-2 py-1 text-xs rounded bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition-colors font-medium flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <RotateCcw className="h-3 w-3" />
+                  <span>Rollback</span>
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-gray-500 text-center py-8 italic text-sm">
+          No deployments yet.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeploymentsPanel;
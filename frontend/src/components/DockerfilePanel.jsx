@@ -0,0 +1,41 @@
+import React from 'react';
+import { FileCode } from 'lucide-react';
+
+const templateNames = {
+  custom: 'Repository Dockerfile',
+  node: 'Node.js template',
+  python: 'Python template',
+  go: 'Go template',
+  ruby: 'Ruby template',
+  'static-binary': 'Static binary (Rust) template',
+};
+
+const DockerfilePanel = ({ deployment, dockerfile, loading, onView, onHide }) => (
+  <div className="bg-white/90 backdrop-blur-xl p-6 rounded-xl shadow-lg border border-gray-200">
+    {/* Header */}
+    <div className="flex items-center justify-between">
+      <div className="flex items-center space-x-2">
+        <FileCode className="h-5 w-5 text-indigo-600" />
+        <h3 className="text-lg font-semibold text-gray-900">Dockerfile</h3>
+        <span className="text-sm text-gray-500">
+          #{deployment.version} · {templateNames[deployment.dockerfileTemplate] || deployment.dockerfileTemplate}
+        </span>
+      </div>
+      <button
+        onClick={dockerfile ? onHide : () => onView(deployment)}
+        disabled={loading}
+        className="px-3 py-1.5 text-sm rounded bg-gray-200 text-gray-700 font-medium hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {loading ? 'Loading...' : dockerfile ? 'Hide' : 'View'}
+      </button>
+    </div>
+
+    {dockerfile && (
+      <pre className="mt-4 bg-gray-950 text-gray-300 rounded-lg p-4 max-h-96 overflow-auto font-mono text-xs shadow-inner border border-gray-800">
+        {dockerfile}
+      </pre>
+    )}
+  </div>
+);
+
+export default DockerfilePanel;
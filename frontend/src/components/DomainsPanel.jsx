@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { Globe, ShieldCheck, Clock, AlertTriangle, RefreshCw, Trash2, Plus, ExternalLink } from 'lucide-react';
+
+const REDIRECT_OPTIONS = [
+  { value: 'none', label: 'No www host' },
+  { value: 'apex-to-www', label: 'Redirect to www' },
+  { value: 'www-to-apex', label: 'Redirect www here' },
+];
+
+const domainState = (domain) => {
+  if (domain.active) return { label: 'Active', icon: ShieldCheck, className: 'bg-green-100 text-green-800' };
+  if (domain.verifiedAt) return { label: 'Certificate pending', icon: Clock, className: 'bg-yellow-100 text-yellow-800' };
+  return { label: 'Unverified', icon: Clock, className: 'bg-gray-100 text-gray-700' };
+};
+
+const DomainsPanel = ({ domains, busyId, onAdd, onVerify, onRedirectChange, onRemove }) => {
+  const [hostname, setHostname] = useState('');
+  const [redirect, setRedirect] = useState('none');
+  const [adding, setAdding] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!hostname.trim()) return;
+
+    setAdding(true);
+    try {
+      await onAdd(hostname.trim(), redirect);
+      setHostname('');
+      setRedirect('none');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <div className="bg-white/90 backdrop-blur-xl p-6 rounded-xl shadow-lg border border-gray-200">
+      {/* Header */}
+      <div className="flex items-center space-x-2 mb-4">
+        <Globe className="h-5 w-5 text-indigo-600" />
+        <h3 className="text-lg font-semibold text-gray-900">Custom Domains</h3>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex space-x-2 mb-4">
+        <input
+          type="text"
+          value={hostname}
+          onChange={(e) => setHostname(e.target.value)}
+          placeholder="example.com"
+          className="flex-1 px-3 py-1.5 text-sm font-mono rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+        />
+        <select
+          value={redirect}
+          onChange={(e) => setRedirect(e.target.value)}
+          className="px-2 py-1.5 text-sm rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+        >
+          {REDIRECT_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={adding || !hostname.trim()}
+          className="px-3 py-1.5 text-sm rounded bg-indigo-600 text-white font-medium hover:bg-indigo-700 transition-colors flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add Domain</span>
+        </button>
+      </form>
+
+      {domains.length > 0 ? (
+        <div className="divide-y divide-gray-100">
+          {domains.map((domain) => {
+            const state = domainState(domain);
+            const StateIcon = state.icon;
+            const busy = busyId === domain._id;
+
+            return (
+              <div key={domain._id} className="py-3 px-2">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-2 min-w-0">
+                    {domain.active ? (
+                      <a
+                        href={`https://${domain.canonicalHost}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center space-x-1 text-sm font-semibold font-mono text-indigo-600 hover:text-purple-600 truncate"
+                      >
+                        <span className="truncate">{domain.hostname}</span>
+                        <ExternalLink className="h-3 w-3" />
+                      </a>
+                    ) : (
+                      <span className="text-sm font-semibold text-gray-900 font-mono truncate">{domain.hostname}</span>
+                    )}
+                    <span className={`flex items-center space-x-1 px-2 py-0.5 rounded-full text-xs font-medium ${state.className}`}>
+                      <StateIcon className="h-3 w-3" />
+                      <span>{state.label}</span>
+                    </span>
+                  </div>
+
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={domain.redirect}
+                      disabled={busy}
+                      onChange={(e) => onRedirectChange(domain, e.target.value)}
+                      className="px-2 py-1 text-xs rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 outline-none disabled:opacity-50"
+                    >
+                      {REDIRECT_OPTIONS.map(({ value, label }) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    {!domain.active && (
+                      <button
+                        onClick={() => onVerify(domain)}
+                        disabled={busy}
+                        className="px-2.5 py-1 text-xs rounded border border-indigo-200 text-indigo-700 font-medium hover:bg-indigo-50 transition-colors flex items-center space-x-1 disabled:opacity-50"
+                      >
+                        <RefreshCw className={`h-3 w-3 ${busy ? 'animate-spin' : ''}`} />
+                        <span>{domain.verifiedAt ? 'Retry' : 'Verify'}</span>
+                      </button>
+                    )}
+                    <button
+                      onClick={() => onRemove(domain)}
+                      disabled={busy}
+                      className="p-1.5 rounded text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors disabled:opacity-50"
+                      title="Remove domain"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {!domain.verifiedAt && (
+                  <div className="mt-2 text-xs text-gray-600">
+                    <p className="mb-1">Add this DNS record, then verify:</p>
+                    <div className="grid grid-cols-[auto,1fr] gap-x-3 gap-y-0.5 font-mono bg-gray-50 border border-gray-200 rounded p-2">
+                      <span className="text-gray-500">{domain.verificationRecord.type}</span>
+                      <span className="break-all">{domain.verificationRecord.name}</span>
+                      <span className="text-gray-500">value</span>
+                      <span className="break-all">{domain.verificationRecord.value}</span>
+                    </div>
+                  </div>
+                )}
+                {domain.verifiedAt && !domain.active && (
+                  <p className="mt-2 text-xs text-gray-600">
+                    Point {domain.hosts.join(' and ')} at this server so a certificate can be issued.
+                  </p>
+                )}
+                {domain.error && (
+                  <p className="mt-2 flex items-start space-x-1 text-xs text-red-600">
+                    <AlertTriangle className="h-3 w-3 mt-0.5 flex-shrink-0" />
+                    <span>{domain.error}</span>
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="text-gray-500 text-center py-6 italic text-sm">
+          No custom domains. The project is served at its subdomain only.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DomainsPanel;
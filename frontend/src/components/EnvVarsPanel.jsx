@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+
+const ScopeSelect = ({ value, onChange }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className="px-1 py-1 text-xs rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 outline-none"
+  >
+    <option value="both">Build &amp; runtime</option>
+    <option value="build">Build</option>
+    <option value="runtime">Runtime</option>
+  </select>
+);
+
+/**
+ * Values are write-only: the API returns a masked preview. `onSet(name,
+ * { value, scope })` resolves to true once saved, which clears the form.
+ */
+const EnvVarsPanel = ({ envVars, buildType, onSet, onScopeChange, onRemove }) => {
+  const [newEnvVar, setNewEnvVar] = useState({ name: '', value: '', scope: '' });
+  const isServer = buildType === 'server';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const name = newEnvVar.name.trim();
+    if (!name) return;
+
+    // Static sites only have a build; server apps default to both
+    const scope = newEnvVar.scope || (isServer ? 'both' : 'build');
+    if (await onSet(name, { value: newEnvVar.value, scope })) {
+      setNewEnvVar({ name: '', value: '', scope: '' });
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-200 pt-4">
+      <h3 className="text-sm font-medium text-gray-700 mb-3">
+        Environment Variables
+      </h3>
+      {envVars && Object.keys(envVars).length > 0 ? (
+        <div className="space-y-2">
+          {Object.entries(envVars).map(([key, value]) => (
+            <div
+              key={key}
+              className="flex items-center space-x-2 text-sm"
+            >
+              <span className="font-mono text-gray-800 bg-gray-100 px-2 py-1 rounded min-w-0 flex-shrink-0">
+                {key}
+              </span>
+              <span className="text-gray-400">=</span>
+              <span className="font-mono text-gray-600 bg-gray-50 px-2 py-1 rounded truncate flex-1">
+                {value.preview}
+              </span>
+              {isServer && (
+                <ScopeSelect value={value.scope} onChange={(scope) => onScopeChange(key, scope)} />
+              )}
+              <button
+                onClick={() => onRemove(key)}
+                className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                title={`Remove ${key}`}
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 italic">
+          No environment variables configured
+        </p>
+      )}
+      <form onSubmit={handleSubmit} className="flex items-center space-x-2 mt-3">
+        <input
+          type="text"
+          value={newEnvVar.name}
+          onChange={(e) => setNewEnvVar((prev) => ({ ...prev, name: e.target.value }))}
+          placeholder="NAME"
+          className="w-1/3 px-2 py-1 text-sm font-mono rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+        />
+        <input
+          type="password"
+          value={newEnvVar.value}
+          onChange={(e) => setNewEnvVar((prev) => ({ ...prev, value: e.target.value }))}
+          placeholder="value"
+          autoComplete="off"
+          className="flex-1 px-2 py-1 text-sm font-mono rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+        />
+        {isServer && (
+          <ScopeSelect
+            value={newEnvVar.scope || 'both'}
+            onChange={(scope) => setNewEnvVar((prev) => ({ ...prev, scope }))}
+          />
+        )}
+        <button
+          type="submit"
+          disabled={!newEnvVar.name.trim()}
+          className="p-1.5 rounded bg-indigo-600 text-white hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          title="Set variable"
+        >
+          <Plus className="h-4 w-4" />
+        </button>
+      </form>
+      <p className="text-xs text-gray-500 mt-2">
+        Values are encrypted and can't be viewed again. Setting an existing name replaces its value.
+        {buildType === 'static' && ' Variables are available while the site builds.'}
+      </p>
+    </div>
+  );
+};
+
+export default EnvVarsPanel;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { KeyRound } from 'lucide-react';
+
+// `onSave({ type, token })` resolves to true once saved, which clears the token field
+const GitCredentialsPanel = ({ credentials, onSave }) => {
+  const [type, setType] = useState(credentials.type);
+  const [token, setToken] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Follow the saved type whenever the project is reloaded
+  useEffect(() => {
+    setType(credentials.type);
+  }, [credentials.type]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      if (await onSave({ type, token: type === 'token' ? token : undefined })) setToken('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-200 pt-4">
+      <div className="flex items-center space-x-2 mb-3">
+        <KeyRound className="h-4 w-4 text-gray-600" />
+        <h3 className="text-sm font-medium text-gray-700">
+          Repository Access
+        </h3>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Private repositories need a deploy key or an access token to be cloned.
+      </p>
+
+      <div className="space-y-3">
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="w-full px-3 py-1.5 text-sm rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+        >
+          <option value="none">Public repository</option>
+          <option value="ssh">Deploy key (SSH)</option>
+          <option value="token">Personal access token</option>
+        </select>
+
+        {type === 'token' && (
+          <input
+            type="password"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            placeholder={credentials.type === 'token' ? 'Token saved, enter a new one to replace it' : 'ghp_...'}
+            autoComplete="off"
+            className="w-full px-3 py-1.5 text-sm font-mono rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+          />
+        )}
+
+        {type === 'ssh' && credentials.type === 'ssh' && credentials.sshPublicKey && (
+          <div>
+            <p className="text-xs font-medium text-gray-600 mb-1">
+              Add this public key to your repository's deploy keys (read-only access is enough)
+            </p>
+            <p className="text-xs text-gray-800 font-mono bg-gray-50 px-2 py-1 rounded break-all select-all">
+              {credentials.sshPublicKey}
+            </p>
+          </div>
+        )}
+
+        {(type !== credentials.type || type !== 'none') && (
+          <button
+            onClick={handleSave}
+            disabled={saving || (type === 'token' && !token.trim())}
+            className="px-3 py-1.5 text-sm rounded bg-indigo-600 text-white font-medium hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {type === 'ssh'
+              ? credentials.type === 'ssh' ? 'Regenerate Deploy Key' : 'Generate Deploy Key'
+              : type === 'token' ? 'Save Token' : 'Remove Credentials'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GitCredentialsPanel;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { HeartPulse, Edit3 } from 'lucide-react';
+
+const DEFAULT_HEALTH_CHECK = {
+  enabled: true,
+  path: '/',
+  intervalSeconds: 30,
+  timeoutSeconds: 5,
+  retries: 3,
+};
+
+const FIELDS = [
+  ['path', 'Path', 'text'],
+  ['expectedStatus', 'Expected Status', 'number', 'Any 2xx/3xx'],
+  ['intervalSeconds', 'Interval (s)', 'number'],
+  ['timeoutSeconds', 'Timeout (s)', 'number'],
+  ['retries', 'Retries', 'number'],
+];
+
+// `onSave(healthCheck)` resolves to true once saved; the form stays open otherwise
+const HealthCheckPanel = ({ healthCheck, health, onSave }) => {
+  const current = { ...DEFAULT_HEALTH_CHECK, ...healthCheck };
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(current);
+
+  const handleChange = (field, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handleSave = async () => {
+    if (await onSave(draft)) setEditing(false);
+  };
+
+  return (
+    <div className="border-t border-gray-200 pt-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-700 flex items-center space-x-1">
+          <HeartPulse className="h-4 w-4" />
+          <span>Health Check</span>
+        </h3>
+        <button
+          onClick={() => {
+            setEditing(!editing);
+            setDraft(current);
+          }}
+          className="text-indigo-600 hover:text-purple-600 text-sm font-medium flex items-center space-x-1 transition-colors"
+        >
+          <Edit3 className="h-4 w-4" />
+          <span>{editing ? 'Cancel' : 'Edit'}</span>
+        </button>
+      </div>
+
+      {editing ? (
+        <div className="space-y-3">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={draft.enabled}
+              onChange={(e) => handleChange('enabled', e.target.checked)}
+              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            <span>Probe the app over HTTP</span>
+          </label>
+          <div className="grid grid-cols-2 gap-3">
+            {FIELDS.map(([field, label, type, placeholder]) => (
+              <div key={field}>
+                <p className="text-xs font-medium text-gray-600 mb-1">{label}</p>
+                <input
+                  type={type}
+                  value={draft[field] ?? ''}
+                  onChange={(e) => handleChange(field, e.target.value)}
+                  placeholder={placeholder}
+                  disabled={!draft.enabled}
+                  className="w-full px-3 py-1.5 text-sm rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none disabled:bg-gray-100"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex space-x-2 pt-2">
+            <button
+              onClick={handleSave}
+              className="px-3 py-1.5 text-sm rounded bg-indigo-600 text-white font-medium hover:bg-indigo-700 transition-colors"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              className="px-3 py-1.5 text-sm rounded bg-gray-200 text-gray-700 font-medium hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : current.enabled === false ? (
+        <p className="text-sm text-gray-500">
+          Disabled: containers are considered ready once they are running.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-800 font-mono bg-gray-50 px-2 py-1 rounded">
+            GET {current.path} → {current.expectedStatus || '2xx/3xx'}
+          </p>
+          <p className="text-xs text-gray-500">
+            Every {current.intervalSeconds}s, {current.timeoutSeconds}s timeout,
+            unhealthy after {current.retries} failed{' '}
+            {Number(current.retries) === 1 ? 'probe' : 'probes'}
+          </p>
+          {health?.checkedAt && (
+            <p className={`text-xs ${health.error ? 'text-orange-700' : 'text-green-700'}`}>
+              {health.error || 'Healthy'} · checked{' '}
+              {new Date(health.checkedAt).toLocaleTimeString()}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HealthCheckPanel;
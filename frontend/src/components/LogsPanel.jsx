@@ -1,7 +1,17 @@
 import React, { useEffect, useRef } from 'react';
 import { Terminal } from 'lucide-react';
 
-const LogsPanel = ({ logs, isLoading }) => {
+// `tabs` ([{ id, label }]) replaces the title with a switcher; `actions` sit on the right
+const LogsPanel = ({
+  logs,
+  isLoading,
+  title = 'Deployment Logs',
+  emptyMessage = 'No logs available. Deploy your project to see logs here.',
+  tabs,
+  activeTab,
+  onTabChange,
+  actions,
+}) => {
   const logsEndRef = useRef(null);
 
   useEffect(() => {
@@ -13,10 +23,29 @@ const LogsPanel = ({ logs, isLoading }) => {
       {/* Header */}
       <div className="flex items-center space-x-2 mb-4">
         <Terminal className="h-5 w-5 text-indigo-600" />
-        <h3 className="text-lg font-semibold text-gray-900">Deployment Logs</h3>
+        {tabs ? (
+          <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+            {tabs.map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => onTabChange(tab.id)}
+                className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                  activeTab === tab.id
+                    ? 'bg-white text-gray-900 shadow'
+                    : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+        )}
         {isLoading && (
           <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-indigo-600 ml-2"></div>
         )}
+        {actions && <div className="ml-auto flex items-center space-x-2">{actions}</div>}
       </div>
 
       {/* Terminal body */}
@@ -27,6 +56,11 @@ const LogsPanel = ({ logs, isLoading }) => {
               <span className="text-gray-500 text-xs mr-2">
                 {new Date(log.timestamp).toLocaleTimeString()}
               </span>
+              {log.stream && (
+                <span className={`text-xs mr-2 ${log.stream === 'stderr' ? 'text-orange-400' : 'text-gray-600'}`}>
+                  {log.stream}
+                </span>
+              )}
               <span
                 className={
                   log.level === 'error'
@@ -44,7 +78,7 @@ const LogsPanel = ({ logs, isLoading }) => {
           ))
         ) : (
           <div className="text-gray-500 text-center py-8 italic">
-            No logs available. Deploy your project to see logs here.
+            {emptyMessage}
           </div>
         )}
         <div ref={logsEndRef} />
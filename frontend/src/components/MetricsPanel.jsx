@@ -0,0 +1,154 @@
+import React from 'react';
+import { BarChart3 } from 'lucide-react';
+
+const RANGES = ['1h', '6h', '24h', '7d'];
+
+const WIDTH = 300;
+const HEIGHT = 100;
+
+const formatBytes = (bytes) => {
+  if (bytes == null) return '–';
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${Math.round(bytes)} B`;
+};
+
+const formatPercent = (value) => (value == null ? '–' : `${value.toFixed(1)}%`);
+
+// Polyline per series, scaled to the largest value (or `max`); gaps break the line
+const Chart = ({ title, points, series, format, max }) => {
+  const top = max || Math.max(1, ...points.flatMap((p) => series.map(({ key }) => p[key] ?? 0)));
+  const times = points.map((p) => new Date(p.timestamp).getTime());
+  const start = Math.min(...times);
+  const span = Math.max(...times) - start || 1;
+
+  const paths = series.map(({ key }) => {
+    let d = '';
+    let drawing = false;
+    points.forEach((point, index) => {
+      if (point[key] == null) {
+        drawing = false;
+        return;
+      }
+      const x = ((times[index] - start) / span) * WIDTH;
+      const y = HEIGHT - (Math.min(point[key], top) / top) * HEIGHT;
+      d += `${drawing ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)} `;
+      drawing = true;
+    });
+    return d;
+  });
+
+  const latest = points[points.length - 1];
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-xs font-medium text-gray-600">{title}</p>
+        <div className="flex items-center space-x-2">
+          {series.map(({ key, label, color }) => (
+            <span key={key} className="text-xs font-mono" style={{ color }}>
+              {label ? `${label} ` : ''}
+              {format(latest?.[key])}
+            </span>
+          ))}
+        </div>
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" className="w-full h-24">
+        <line x1="0" y1={HEIGHT} x2={WIDTH} y2={HEIGHT} stroke="#e5e7eb" />
+        <line x1="0" y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2} stroke="#f3f4f6" />
+        {paths.map((d, index) => (
+          <path
+            key={series[index].key}
+            d={d}
+            fill="none"
+            stroke={series[index].color}
+            strokeWidth="1.5"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+      </svg>
+      <p className="text-[10px] text-gray-400 text-right">max {format(top)}</p>
+    </div>
+  );
+};
+
+const MetricsPanel = ({ metrics, range, loading, onRangeChange }) => {
+  const points = metrics?.points || [];
+  const latest = points[points.length - 1];
+  // Counts are per container and start over with each deployment, so only increases count
+  const restarts = points.reduce((total, point, index) => {
+    const before = points[index - 1]?.restartCount;
+    return before != null && point.restartCount > before ? total + point.restartCount - before : total;
+  }, 0);
+
+  return (
+    <div className="bg-white/90 backdrop-blur-xl p-6 rounded-xl shadow-lg border border-gray-200">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <BarChart3 className="h-5 w-5 text-indigo-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Usage</h3>
+          {loading && (
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-indigo-600 ml-2"></div>
+          )}
+        </div>
+        <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+          {RANGES.map((value) => (
+            <button
+              key={value}
+              onClick={() => onRangeChange(value)}
+              className={`px-2.5 py-1 text-xs font-medium rounded-md transition-colors ${
+                range === value ? 'bg-white text-gray-900 shadow' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {points.length > 1 ? (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Chart
+              title="CPU"
+              points={points}
+              series={[{ key: 'cpuPercent', color: '#4f46e5' }]}
+              format={formatPercent}
+            />
+            <Chart
+              title="Memory"
+              points={points}
+              series={[{ key: 'memoryBytes', color: '#9333ea' }]}
+              format={formatBytes}
+              max={latest.memoryLimitBytes}
+            />
+            <Chart
+              title="Network"
+              points={points}
+              series={[
+                { key: 'networkRxBytesPerSec', label: 'in', color: '#059669' },
+                { key: 'networkTxBytesPerSec', label: 'out', color: '#ea580c' },
+              ]}
+              format={(value) => (value == null ? '–' : `${formatBytes(value)}/s`)}
+            />
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            {restarts > 0
+              ? `${restarts} container ${restarts === 1 ? 'restart' : 'restarts'} in this range`
+              : 'No container restarts in this range'}
+            {' · '}
+            averaged per {Math.round(metrics.bucketSeconds / 60)} min
+          </p>
+        </>
+      ) : (
+        <div className="text-gray-500 text-center py-8 italic text-sm">
+          No usage data for this range yet. Samples are collected every minute while the app runs.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MetricsPanel;
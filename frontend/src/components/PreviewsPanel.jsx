@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Layers, ExternalLink, GitBranch, GitPullRequest, Trash2, Plus } from 'lucide-react';
+import { statusStyles } from './DeploymentsPanel';
+
+const PreviewsPanel = ({
+  previews,
+  deployments,
+  previewsEnabled,
+  selectedId,
+  onSelect,
+  onCreate,
+  onDelete,
+  onTogglePreviews,
+}) => {
+  const [branch, setBranch] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  // `deployments` is newest first, so the first match is the preview's latest build
+  const latestDeployment = (preview) => deployments.find((d) => d.previewSlug === preview.slug);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!branch.trim()) return;
+
+    setCreating(true);
+    try {
+      await onCreate(branch.trim());
+      setBranch('');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="bg-white/90 backdrop-blur-xl p-6 rounded-xl shadow-lg border border-gray-200">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Layers className="h-5 w-5 text-indigo-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Preview Deployments</h3>
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={!!previewsEnabled}
+            onChange={onTogglePreviews}
+            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          <span>Build previews on push</span>
+        </label>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex space-x-2 mb-4">
+        <input
+          type="text"
+          value={branch}
+          onChange={(e) => setBranch(e.target.value)}
+          placeholder="feature/my-branch"
+          className="flex-1 px-3 py-1.5 text-sm font-mono rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+        />
+        <button
+          type="submit"
+          disabled={creating || !branch.trim()}
+          className="px-3 py-1.5 text-sm rounded bg-indigo-600 text-white font-medium hover:bg-indigo-700 transition-colors flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Deploy Preview</span>
+        </button>
+      </form>
+
+      {previews.length > 0 ? (
+        <div className="divide-y divide-gray-100">
+          {previews.map((preview) => {
+            const deployment = latestDeployment(preview);
+
+            return (
+              <div
+                key={preview.slug}
+                onClick={() => deployment && onSelect(deployment._id)}
+                className={`flex items-center justify-between py-3 px-2 rounded-lg cursor-pointer transition-colors ${
+                  deployment && selectedId === deployment._id ? 'bg-indigo-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <GitBranch className="h-4 w-4 text-gray-500" />
+                    <span className="text-sm font-semibold text-gray-900 font-mono truncate">{preview.branch}</span>
+                    {deployment && (
+                      <span
+                        className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${
+                          statusStyles[deployment.status] || 'bg-gray-200 text-gray-700'
+                        }`}
+                      >
+                        {deployment.status}
+                      </span>
+                    )}
+                    {preview.pullRequest && (
+                      <span className="flex items-center space-x-1 text-xs text-gray-500">
+                        <GitPullRequest className="h-3 w-3" />
+                        <span>#{preview.pullRequest}</span>
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-3 mt-1 text-xs text-gray-500">
+                    {preview.activeDeployment ? (
+                      <a
+                        href={preview.deployUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        onClick={(e) => e.stopPropagation()}
+                        className="flex items-center space-x-1 text-indigo-600 hover:text-purple-600"
+                      >
+                        <span className="truncate">{preview.deployUrl}</span>
+                        <ExternalLink className="h-3 w-3" />
+                      </a>
+                    ) : (
+                      <span className="italic">Not live yet</span>
+                    )}
+                    {deployment?.commitSha && (
+                      <span className="font-mono">{deployment.commitSha.slice(0, 7)}</span>
+                    )}
+                    <span>Updated {new Date(preview.lastActivityAt).toLocaleString()}</span>
+                  </div>
+                </div>
+
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDelete(preview);
+                  }}
+                  className="p-1.5 rounded text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors"
+                  title="Remove preview"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="text-gray-500 text-center py-6 italic text-sm">
+          No previews. Deploy a branch above{previewsEnabled ? ' or push to one' : ''}.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PreviewsPanel;
@@ -1,8 +1,21 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
-import { ExternalLink, Github, Globe, Activity, XCircle, Settings, Server } from 'lucide-react';
+import {
+  ExternalLink,
+  Github,
+  Globe,
+  Activity,
+  XCircle,
+  Settings,
+  Server,
+  AlertTriangle,
+  Play,
+  Square,
+  RotateCw,
+} from 'lucide-react';
 
-const ProjectCard = ({ project }) => {
+// `onControl(project, action)` stops, starts or restarts a server app; `busy` while one runs
+const ProjectCard = ({ project, onControl, busy }) => {
   const getStatusStyles = (status) => {
     switch (status) {
       case 'running':
@@ -19,6 +32,18 @@ const ProjectCard = ({ project }) => {
             <div className="animate-spin rounded-full h-4 w-4 border-2 border-yellow-600 border-t-transparent" />
           ),
         };
+      case 'unhealthy':
+        return {
+          color: 'text-orange-700',
+          bg: 'bg-orange-100',
+          icon: <AlertTriangle className="h-4 w-4 text-orange-600" />,
+        };
+      case 'stopped':
+        return {
+          color: 'text-gray-700',
+          bg: 'bg-gray-200',
+          icon: <Square className="h-4 w-4 text-gray-500" />,
+        };
       case 'failed':
         return {
           color: 'text-red-700',
@@ -87,8 +112,43 @@ const ProjectCard = ({ project }) => {
       </div>
 
       {/* Footer */}
-      <div className="text-xs text-gray-500">
-        Created {new Date(project.createdAt).toLocaleDateString()}
+      <div className="flex items-center justify-between">
+        <div className="text-xs text-gray-500">
+          Created {new Date(project.createdAt).toLocaleDateString()}
+        </div>
+        {onControl && project.buildType === 'server' && project.containerId && project.status !== 'deploying' && (
+          <div className="flex items-center space-x-1">
+            {project.status === 'stopped' ? (
+              <button
+                onClick={() => onControl(project, 'start')}
+                disabled={busy}
+                title="Start"
+                className="p-1.5 rounded text-green-600 hover:bg-green-50 transition-colors disabled:opacity-50"
+              >
+                <Play className="h-4 w-4" />
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={() => onControl(project, 'restart')}
+                  disabled={busy}
+                  title="Restart"
+                  className="p-1.5 rounded text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-50"
+                >
+                  <RotateCw className={`h-4 w-4 ${busy ? 'animate-spin' : ''}`} />
+                </button>
+                <button
+                  onClick={() => onControl(project, 'stop')}
+                  disabled={busy}
+                  title="Stop"
+                  className="p-1.5 rounded text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-50"
+                >
+                  <Square className="h-4 w-4" />
+                </button>
+              </>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
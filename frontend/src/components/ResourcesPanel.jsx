@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Cpu, Edit3 } from 'lucide-react';
+
+const DEFAULT_RESOURCES = {
+  memoryMb: 512,
+  cpus: 1,
+  pidsLimit: 256,
+  restartPolicy: 'unless-stopped',
+};
+
+const RESTART_POLICIES = [
+  { value: 'unless-stopped', label: 'Unless stopped' },
+  { value: 'always', label: 'Always' },
+  { value: 'on-failure', label: 'On failure (5 attempts)' },
+  { value: 'no', label: 'Never' },
+];
+
+// [field, label, plan limit capping it, minimum]
+const LIMIT_FIELDS = [
+  ['memoryMb', 'Memory (MB)', 'maxMemoryMb', 64],
+  ['cpus', 'CPUs', 'maxCpus', 0.1],
+  ['pidsLimit', 'Max processes', 'maxPidsLimit', 16],
+];
+
+// `onSave(resources)` resolves to true once saved; the form stays open otherwise
+const ResourcesPanel = ({ resources, planLimits, onSave }) => {
+  const current = { ...DEFAULT_RESOURCES, ...resources };
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(current);
+
+  const handleChange = (field, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handleSave = async () => {
+    if (await onSave(draft)) setEditing(false);
+  };
+
+  return (
+    <div className="border-t border-gray-200 pt-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-700 flex items-center space-x-1">
+          <Cpu className="h-4 w-4" />
+          <span>Resources</span>
+        </h3>
+        <button
+          onClick={() => {
+            setEditing(!editing);
+            setDraft(current);
+          }}
+          className="text-indigo-600 hover:text-purple-600 text-sm font-medium flex items-center space-x-1 transition-colors"
+        >
+          <Edit3 className="h-4 w-4" />
+          <span>{editing ? 'Cancel' : 'Edit'}</span>
+        </button>
+      </div>
+
+      {editing ? (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            {LIMIT_FIELDS.map(([field, label, limit, min]) => (
+              <div key={field}>
+                <p className="text-xs font-medium text-gray-600 mb-1">{label}</p>
+                <input
+                  type="number"
+                  min={min}
+                  max={planLimits?.[limit]}
+                  step={field === 'cpus' ? 0.1 : 1}
+                  value={draft[field] ?? ''}
+                  onChange={(e) => handleChange(field, e.target.value)}
+                  className="w-full px-3 py-1.5 text-sm rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+                />
+              </div>
+            ))}
+            <div>
+              <p className="text-xs font-medium text-gray-600 mb-1">Restart Policy</p>
+              <select
+                value={draft.restartPolicy}
+                onChange={(e) => handleChange('restartPolicy', e.target.value)}
+                className="w-full px-3 py-1.5 text-sm rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
+              >
+                {RESTART_POLICIES.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {planLimits && (
+            <p className="text-xs text-gray-500">
+              {planLimits.name} plan: up to {planLimits.maxMemoryMb} MB,{' '}
+              {planLimits.maxCpus} CPUs and {planLimits.maxPidsLimit} processes
+            </p>
+          )}
+          <div className="flex space-x-2 pt-2">
+            <button
+              onClick={handleSave}
+              className="px-3 py-1.5 text-sm rounded bg-indigo-600 text-white font-medium hover:bg-indigo-700 transition-colors"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              className="px-3 py-1.5 text-sm rounded bg-gray-200 text-gray-700 font-medium hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-1">
+          <p className="text-sm text-gray-800 font-mono bg-gray-50 px-2 py-1 rounded">
+            {current.memoryMb} MB · {current.cpus} CPU · {current.pidsLimit} processes
+          </p>
+          <p className="text-xs text-gray-500">
+            Restart:{' '}
+            {RESTART_POLICIES.find((p) => p.value === current.restartPolicy)?.label
+              || current.restartPolicy}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResourcesPanel;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Webhook, RefreshCw, Eye, EyeOff } from 'lucide-react';
+
+// `onRotateSecret()` resolves to true once a new secret exists, which is then shown
+const WebhookPanel = ({ webhook, onRotateSecret }) => {
+  const [showSecret, setShowSecret] = useState(false);
+
+  const handleRotate = async () => {
+    if (await onRotateSecret()) setShowSecret(true);
+  };
+
+  return (
+    <div className="border-t border-gray-200 pt-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <Webhook className="h-4 w-4 text-gray-600" />
+          <h3 className="text-sm font-medium text-gray-700">
+            Deploy on Push
+          </h3>
+        </div>
+        <button
+          onClick={handleRotate}
+          className="text-indigo-600 hover:text-purple-600 text-sm font-medium flex items-center space-x-1 transition-colors"
+        >
+          <RefreshCw className="h-4 w-4" />
+          <span>Regenerate Secret</span>
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Add a webhook in your GitHub repository settings with content type{' '}
+        <span className="font-mono">{webhook.contentType}</span> and the{' '}
+        <span className="font-mono">{webhook.events.join(', ')}</span> events.
+      </p>
+
+      <div className="space-y-3">
+        <div>
+          <p className="text-xs font-medium text-gray-600 mb-1">Payload URL</p>
+          <p className="text-sm text-gray-800 font-mono bg-gray-50 px-2 py-1 rounded break-all">
+            {webhook.url}
+          </p>
+        </div>
+        <div>
+          <p className="text-xs font-medium text-gray-600 mb-1">Secret</p>
+          <div className="flex items-center space-x-2">
+            <p className="text-sm text-gray-800 font-mono bg-gray-50 px-2 py-1 rounded break-all flex-1">
+              {showSecret ? webhook.secret : '••••••••••••••••'}
+            </p>
+            <button
+              onClick={() => setShowSecret(!showSecret)}
+              className="p-1 text-gray-500 hover:text-indigo-600 transition-colors"
+            >
+              {showSecret ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WebhookPanel;
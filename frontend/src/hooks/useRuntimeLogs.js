@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import { projectService } from '../services/projectService';
+
+// Lines kept in the runtime viewer; older ones scroll away
+const MAX_RUNTIME_LOGS = 1000;
+
+/**
+ * Output of a server project's running container while `enabled`: recent
+ * lines from the API, then live ones streamed over `socket`. `note` explains
+ * why nothing is streaming, if anything does.
+ */
+export const useRuntimeLogs = (socket, projectId, enabled) => {
+  const [logs, setLogs] = useState([]);
+  const [following, setFollowing] = useState(false);
+  const [note, setNote] = useState('');
+
+  useEffect(() => {
+    if (!enabled || !socket) return undefined;
+
+    let cancelled = false;
+    setLogs([]);
+    setNote('');
+    projectService
+      .getRuntimeLogs(projectId)
+      .then(({ logs: recent }) => {
+        if (!cancelled) setLogs((prev) => [...recent, ...prev]);
+      })
+      .catch((err) => {
+        if (!cancelled) setNote(err.message);
+      });
+
+    const handleLog = (log) => {
+      setLogs((prev) => [...prev.slice(-(MAX_RUNTIME_LOGS - 1)), log]);
+    };
+    const handleEnded = ({ reason }) => {
+      setFollowing(false);
+      setNote(reason);
+    };
+    // Rooms are lost on reconnect, so follow again
+    const follow = () => {
+      socket.emit('follow-runtime-logs', projectId);
+      setFollowing(true);
+    };
+
+    socket.on('runtime-log', handleLog);
+    socket.on('runtime-logs-ended', handleEnded);
+    if (socket.connected) follow();
+    socket.on('connect', follow);
+
+    return () => {
+      cancelled = true;
+      socket.off('runtime-log', handleLog);
+      socket.off('runtime-logs-ended', handleEnded);
+      socket.off('connect', follow);
+      socket.emit('unfollow-runtime-logs', projectId);
+      setFollowing(false);
+    };
+  }, [enabled, socket, projectId]);
+
+  return { logs, following, note };
+};
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { ArrowLeft, Server, Globe, Github, Settings, Zap, XCircle } from 'lucide-react';
+import { ArrowLeft, Server, Globe, Github, Settings, Zap, XCircle, Wand2 } from 'lucide-react';
 import { v4 as uuidv4 } from 'uuid';
 import { projectService } from '../services/projectService';
 
@@ -11,6 +11,7 @@ const CreateProject = () => {
     name: '',
     githubRepo: '',
     subDomain: '',
+    productionBranch: '',
     description: '',
     buildType: 'static', // Default to static
     buildConfig: {
@@ -19,11 +20,13 @@ const CreateProject = () => {
       publishDirectory: 'dist',
     },
     // IMPORTANT: envVars is now an array with stable ids
-    envVars: [], // [{ id, name, value }]
+    envVars: [], // [{ id, name, value, scope }]
   });
 
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [detecting, setDetecting] = useState(false);
+  const [detected, setDetected] = useState(null);
 
   // ---------- handlers ----------
   const handleSubmit = async (e) => {
@@ -33,14 +36,11 @@ const CreateProject = () => {
 
     try {
       // Convert envVars array -> object expected by backend
-      const envVarsObject =
-        formData.buildType === 'server'
-          ? formData.envVars.reduce((acc, { name, value }) => {
-              const key = (name || '').trim();
-              if (key) acc[key] = value ?? '';
-              return acc;
-            }, {})
-          : {};
+      const envVarsObject = formData.envVars.reduce((acc, { name, value, scope }) => {
+        const key = (name || '').trim();
+        if (key) acc[key] = { value: value ?? '', scope };
+        return acc;
+      }, {});
 
       const payload = {
         ...formData,
@@ -56,6 +56,35 @@ const CreateProject = () => {
     }
   };
 
+  // Clone the repository on the server and fill in the settings it suggests
+  const handleDetect = async () => {
+    setDetecting(true);
+    setError('');
+
+    try {
+      const result = await projectService.detectProject({
+        githubRepo: formData.githubRepo,
+        ref: formData.productionBranch,
+        rootDirectory: formData.buildConfig.rootDirectory,
+      });
+      setDetected(result);
+      setFormData((prev) => ({
+        ...prev,
+        buildType: result.buildType,
+        buildConfig: {
+          ...prev.buildConfig,
+          buildCommand: result.buildCommand || prev.buildConfig.buildCommand,
+          publishDirectory: result.publishDirectory,
+        },
+        envVars: prev.envVars.map((v) => ({ ...v, scope: result.buildType === 'static' ? 'build' : v.scope })),
+      }));
+    } catch (err) {
+      setError(err.message || 'Failed to detect build settings');
+    } finally {
+      setDetecting(false);
+    }
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
 
@@ -90,21 +119,24 @@ const CreateProject = () => {
             }
           : {
               rootDirectory: '.',
-              buildCommand: 'npm start',
-              publishDirectory: '.',
+              startCommand: '',
+              containerPort: 3000,
+              dockerfilePath: 'Dockerfile',
             },
-      // Clear envVars when switching away from server to avoid confusion
-      envVars: type === 'server' ? prev.envVars : [],
+      // Static sites have no runtime, so their variables only apply to the build
+      envVars: prev.envVars.map((v) => ({ ...v, scope: type === 'static' ? 'build' : v.scope })),
     }));
   };
 
+  const defaultScope = () => (formData.buildType === 'static' ? 'build' : 'both');
+
   // ---------- env var helpers (array with stable ids) ----------
   const addEnvVar = () => {
     setFormData((prev) => ({
       ...prev,
       envVars: [
         ...prev.envVars,
-        { id: uuidv4(), name: `ENV_VAR_${prev.envVars.length + 1}`, value: '' },
+        { id: uuidv4(), name: `ENV_VAR_${prev.envVars.length + 1}`, value: '', scope: defaultScope() },
       ],
     }));
   };
@@ -128,7 +160,7 @@ const CreateProject = () => {
       if (prev.envVars.some((v) => v.name === key)) return prev; // avoid duplicates
       return {
         ...prev,
-        envVars: [...prev.envVars, { id: uuidv4(), name: key, value }],
+        envVars: [...prev.envVars, { id: uuidv4(), name: key, value, scope: defaultScope() }],
       };
     });
   };
@@ -157,13 +189,15 @@ const CreateProject = () => {
       },
       'express-server': {
         rootDirectory: '.',
-        buildCommand: 'npm install', // installs prod deps in container or during build step
-        publishDirectory: '.',
+        startCommand: 'npm start',
+        containerPort: 3000,
+        dockerfilePath: 'Dockerfile',
       },
       'nextjs-server': {
         rootDirectory: '.',
-        buildCommand: 'npm run build',
-        publishDirectory: '.',
+        startCommand: 'npm start', // next start, after the image's build stage
+        containerPort: 3000,
+        dockerfilePath: 'Dockerfile',
       },
     };
 
@@ -311,9 +345,54 @@ const CreateProject = () => {
                   onChange={handleChange}
                   required
                   placeholder="https://github.com/username/repository"
-                  className="w-full pl-10 pr-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400"
+                  className="w-full pl-10 pr-32 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400"
                 />
+                <button
+                  type="button"
+                  onClick={handleDetect}
+                  disabled={detecting || !formData.githubRepo.startsWith('https://')}
+                  className="absolute right-2 top-1/2 transform -translate-y-1/2 px-3 py-1.5 text-xs rounded-lg bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition-colors font-medium flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Wand2 className="h-3 w-3" />
+                  <span>{detecting ? 'Detecting...' : 'Detect settings'}</span>
+                </button>
               </div>
+              {detected?.framework === 'unknown' && (
+                <p className="text-xs text-gray-600 mt-1">
+                  No known framework detected; check the build settings below.
+                </p>
+              )}
+              {detected && detected.framework !== 'unknown' && (
+                <p className="text-xs text-gray-600 mt-1">
+                  Detected <strong>{detected.name}</strong>
+                  {detected.packageManager && <> using {detected.packageManager}</>} as a {detected.buildType} project
+                  {detected.installCommand && (
+                    <>
+                      {' '}(install: <code className="font-mono">{detected.installCommand}</code>)
+                    </>
+                  )}
+                  . Build settings below have been filled in.
+                </p>
+              )}
+            </div>
+
+            {/* Production Branch */}
+            <div className="mt-6">
+              <label htmlFor="productionBranch" className="block text-sm font-semibold text-gray-700 mb-2">
+                Production Branch (optional)
+              </label>
+              <input
+                type="text"
+                id="productionBranch"
+                name="productionBranch"
+                value={formData.productionBranch}
+                onChange={handleChange}
+                placeholder="main"
+                className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Deployed by default and on every push. Leave empty to use the repository's default branch.
+              </p>
             </div>
 
             {/* Description */}
@@ -396,7 +475,7 @@ const CreateProject = () => {
               </div>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               {/* Root Directory */}
               <div>
                 <label htmlFor="rootDirectory" className="block text-sm font-semibold text-gray-700 mb-2">
@@ -411,30 +490,65 @@ const CreateProject = () => {
                   placeholder="."
                   className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
                 />
-                <p className="text-xs text-gray-500 mt-1">Directory containing package.json</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {formData.buildType === 'static'
+                    ? 'Directory containing package.json'
+                    : 'Directory containing package.json; also the Docker build context'}
+                </p>
               </div>
 
-              {/* Build/Start Command */}
+              {/* Install Command */}
               <div>
-                <label htmlFor="buildCommand" className="block text-sm font-semibold text-gray-700 mb-2">
-                  {formData.buildType === 'static' ? 'Build Command' : 'Start Command'}
+                <label htmlFor="installCommand" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Install Command (optional)
                 </label>
                 <input
                   type="text"
-                  id="buildCommand"
-                  name="buildConfig.buildCommand"
-                  value={formData.buildConfig.buildCommand}
+                  id="installCommand"
+                  name="buildConfig.installCommand"
+                  value={formData.buildConfig.installCommand || ''}
                   onChange={handleChange}
-                  placeholder={formData.buildType === 'static' ? 'npm run build' : 'npm start'}
+                  placeholder={detected?.installCommand || 'Detected from lockfile'}
                   className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
                 />
-                <p className="text-xs text-gray-500 mt-1">
-                  {formData.buildType === 'static'
-                    ? 'Command to build your project'
-                    : 'Command to start your server'}
-                </p>
+                <p className="text-xs text-gray-500 mt-1">npm, yarn, pnpm or bun, based on the lockfile</p>
               </div>
 
+              {/* Build/Start Command */}
+              {formData.buildType === 'static' ? (
+                <div>
+                  <label htmlFor="buildCommand" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Build Command
+                  </label>
+                  <input
+                    type="text"
+                    id="buildCommand"
+                    name="buildConfig.buildCommand"
+                    value={formData.buildConfig.buildCommand}
+                    onChange={handleChange}
+                    placeholder="npm run build"
+                    className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Command to build your project</p>
+                </div>
+              ) : (
+                <div>
+                  <label htmlFor="startCommand" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Start Command (optional)
+                  </label>
+                  <input
+                    type="text"
+                    id="startCommand"
+                    name="buildConfig.startCommand"
+                    value={formData.buildConfig.startCommand || ''}
+                    onChange={handleChange}
+                    placeholder="npm start"
+                    className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Overrides the Dockerfile's CMD</p>
+                </div>
+              )}
+
               {/* Publish Directory (only for static) */}
               {formData.buildType === 'static' && (
                 <div>
@@ -453,6 +567,46 @@ const CreateProject = () => {
                   <p className="text-xs text-gray-500 mt-1">Directory containing built files</p>
                 </div>
               )}
+
+              {/* Container settings (only for server) */}
+              {formData.buildType === 'server' && (
+                <>
+                  <div>
+                    <label htmlFor="containerPort" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Container Port
+                    </label>
+                    <input
+                      type="number"
+                      id="containerPort"
+                      name="buildConfig.containerPort"
+                      value={formData.buildConfig.containerPort ?? 3000}
+                      onChange={handleChange}
+                      min="1"
+                      max="65535"
+                      className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Port your server listens on (also set as PORT)</p>
+                  </div>
+
+                  <div>
+                    <label htmlFor="dockerfilePath" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Dockerfile Path
+                    </label>
+                    <input
+                      type="text"
+                      id="dockerfilePath"
+                      name="buildConfig.dockerfilePath"
+                      value={formData.buildConfig.dockerfilePath || 'Dockerfile'}
+                      onChange={handleChange}
+                      placeholder="Dockerfile"
+                      className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Relative to the root directory; generated when the default is missing
+                    </p>
+                  </div>
+                </>
+              )}
             </div>
 
             {/* Build Type Info */}
@@ -477,94 +631,107 @@ const CreateProject = () => {
             </div>
           </div>
 
-          {/* Environment Variables (only for server projects) */}
-          {formData.buildType === 'server' && (
-            <div className="bg-white/90 backdrop-blur-xl p-6 rounded-xl shadow-lg border border-gray-200">
-              <div className="flex items-center justify-between mb-4">
-                <div className="flex items-center space-x-2">
-                  <Settings className="h-5 w-5 text-indigo-600" />
-                  <h2 className="text-xl font-semibold text-gray-900">Environment Variables</h2>
-                </div>
-                <button
-                  type="button"
-                  onClick={addEnvVar}
-                  className="px-3 py-1.5 text-sm rounded-lg bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition-colors font-medium"
-                >
-                  Add Variable
-                </button>
+          {/* Environment Variables */}
+          <div className="bg-white/90 backdrop-blur-xl p-6 rounded-xl shadow-lg border border-gray-200">
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center space-x-2">
+                <Settings className="h-5 w-5 text-indigo-600" />
+                <h2 className="text-xl font-semibold text-gray-900">Environment Variables</h2>
               </div>
+              <button
+                type="button"
+                onClick={addEnvVar}
+                className="px-3 py-1.5 text-sm rounded-lg bg-indigo-100 text-indigo-700 hover:bg-indigo-200 transition-colors font-medium"
+              >
+                Add Variable
+              </button>
+            </div>
 
-              {/* Common Environment Variables */}
-              <div className="mb-4">
-                <p className="text-sm font-semibold text-gray-700 mb-2">Quick Add Common Variables</p>
-                <div className="flex flex-wrap gap-2">
-                  {['NODE_ENV', 'PORT', 'DATABASE_URL', 'JWT_SECRET', 'API_KEY'].map((envKey) => (
-                    <button
-                      key={envKey}
-                      type="button"
-                      onClick={() => addCommonEnvVar(envKey)}
-                      disabled={formData.envVars.some((v) => v.name === envKey)}
-                      className="px-2 py-1 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                      {envKey}
-                    </button>
-                  ))}
-                </div>
+            {/* Common Environment Variables */}
+            <div className="mb-4">
+              <p className="text-sm font-semibold text-gray-700 mb-2">Quick Add Common Variables</p>
+              <div className="flex flex-wrap gap-2">
+                {(formData.buildType === 'static'
+                  ? ['VITE_API_URL', 'NEXT_PUBLIC_API_URL', 'REACT_APP_API_URL']
+                  : ['NODE_ENV', 'PORT', 'DATABASE_URL', 'JWT_SECRET', 'API_KEY']
+                ).map((envKey) => (
+                  <button
+                    key={envKey}
+                    type="button"
+                    onClick={() => addCommonEnvVar(envKey)}
+                    disabled={formData.envVars.some((v) => v.name === envKey)}
+                    className="px-2 py-1 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {envKey}
+                  </button>
+                ))}
               </div>
+            </div>
 
-              {/* Environment Variables List */}
-              <div className="space-y-3">
-                {formData.envVars.map(({ id, name, value }) => (
-                  <div key={id} className="flex items-center space-x-3">
-                    <input
-                      type="text"
-                      value={name}
-                      onChange={(e) => updateEnvVar(id, { name: e.target.value })}
-                      placeholder="VARIABLE_NAME"
-                      className="flex-1 px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
-                    />
-                    <span className="text-gray-400 font-mono">=</span>
-                    <input
-                      type="text"
-                      value={value}
-                      onChange={(e) => updateEnvVar(id, { value: e.target.value })}
-                      placeholder="value"
-                      className="flex-1 px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
-                    />
-                    <button
-                      type="button"
-                      onClick={() => removeEnvVar(id)}
-                      className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-lg transition-colors"
+            {/* Environment Variables List */}
+            <div className="space-y-3">
+              {formData.envVars.map(({ id, name, value, scope }) => (
+                <div key={id} className="flex items-center space-x-3">
+                  <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => updateEnvVar(id, { name: e.target.value })}
+                    placeholder="VARIABLE_NAME"
+                    className="flex-1 px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
+                  />
+                  <span className="text-gray-400 font-mono">=</span>
+                  <input
+                    type="text"
+                    value={value}
+                    onChange={(e) => updateEnvVar(id, { value: e.target.value })}
+                    placeholder="value"
+                    className="flex-1 px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none transition-all placeholder-gray-400 font-mono text-sm"
+                  />
+                  {formData.buildType === 'server' && (
+                    <select
+                      value={scope}
+                      onChange={(e) => updateEnvVar(id, { scope: e.target.value })}
+                      className="px-2 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none text-sm"
                     >
-                      <XCircle className="h-4 w-4" />
-                    </button>
-                  </div>
-                ))}
+                      <option value="both">Build &amp; runtime</option>
+                      <option value="build">Build only</option>
+                      <option value="runtime">Runtime only</option>
+                    </select>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => removeEnvVar(id)}
+                    className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-lg transition-colors"
+                  >
+                    <XCircle className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
 
-                {formData.envVars.length === 0 && (
-                  <div className="text-center py-8 text-gray-505">
-                    <Settings className="h-8 w-8 mx-auto mb-2 text-gray-400" />
-                    <p className="text-sm">No environment variables configured</p>
-                    <p className="text-xs">Click "Add Variable" to add environment variables for your server</p>
-                  </div>
-                )}
-              </div>
+              {formData.envVars.length === 0 && (
+                <div className="text-center py-8 text-gray-505">
+                  <Settings className="h-8 w-8 mx-auto mb-2 text-gray-400" />
+                  <p className="text-sm">No environment variables configured</p>
+                  <p className="text-xs">Click "Add Variable" to add environment variables for your {formData.buildType === 'static' ? 'build' : 'server'}</p>
+                </div>
+              )}
+            </div>
 
-              {/* Environment Variables Info */}
-              <div className="mt-4 p-4 rounded-lg bg-blue-50 border border-blue-200">
-                <div className="flex items-start space-x-3">
-                  <Settings className="h-5 w-5 text-blue-600 mt-0.5" />
-                  <div>
-                    <h4 className="text-sm font-semibold text-blue-900 mb-1">Environment Variables</h4>
-                    <p className="text-sm text-blue-700">
-                      These variables will be available in your server application at runtime.
-                      Common examples include database URLs, API keys, and configuration settings.
-                    </p>
-                  </div>
+            {/* Environment Variables Info */}
+            <div className="mt-4 p-4 rounded-lg bg-blue-50 border border-blue-200">
+              <div className="flex items-start space-x-3">
+                <Settings className="h-5 w-5 text-blue-600 mt-0.5" />
+                <div>
+                  <h4 className="text-sm font-semibold text-blue-900 mb-1">Environment Variables</h4>
+                  <p className="text-sm text-blue-700">
+                    {formData.buildType === 'static'
+                      ? 'These variables are set while your site is built, so framework prefixes like VITE_ or NEXT_PUBLIC_ are inlined into the bundle. Anything inlined is public.'
+                      : 'Runtime variables are available to your running server; build variables are passed to the Docker build as build args. Keep secrets runtime-only, since build args are recorded in the image.'}
+                  </p>
                 </div>
               </div>
             </div>
-          )}
+          </div>
 
           {/* Action Buttons */}
           <div className="flex justify-end space-x-4">
@@ -8,6 +8,7 @@ const Dashboard = () => {
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [controllingId, setControllingId] = useState(null);
 
   useEffect(() => {
     loadProjects();
@@ -17,13 +18,32 @@ const Dashboard = () => {
     try {
       const projectsData = await projectService.getProjects();
       setProjects(projectsData);
-    } catch (err) {
+    } catch {
       setError('Failed to load projects');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleControl = async (project, action) => {
+    setControllingId(project._id);
+    setError('');
+    try {
+      const requests = {
+        stop: () => projectService.stopProject(project._id),
+        start: () => projectService.startProject(project._id),
+        restart: () => projectService.restartProject(project._id),
+      };
+      const updatedProject = await requests[action]();
+      setProjects((prev) => prev.map((p) => (p._id === updatedProject._id ? updatedProject : p)));
+    } catch (err) {
+      setError(err.message);
+      loadProjects();
+    } finally {
+      setControllingId(null);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -60,7 +80,12 @@ const Dashboard = () => {
       {projects.length > 0 ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {projects.map(project => (
-            <ProjectCard key={project._id} project={project} />
+            <ProjectCard
+              key={project._id}
+              project={project}
+              onControl={handleControl}
+              busy={controllingId === project._id}
+            />
           ))}
         </div>
       ) : (
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
   ArrowLeft,
@@ -7,34 +7,73 @@ import {
   Globe,
   Github,
   Trash2,
-  Edit3,
+  GitCommit,
+  Square,
+  RotateCw,
 } from 'lucide-react';
 import { projectService } from '../services/projectService';
+import { useAuth } from '../contexts/AuthContext';
 import LogsPanel from '../components/LogsPanel';
+import DeploymentsPanel from '../components/DeploymentsPanel';
+import PreviewsPanel from '../components/PreviewsPanel';
+import DomainsPanel from '../components/DomainsPanel';
+import DockerfilePanel from '../components/DockerfilePanel';
+import MetricsPanel from '../components/MetricsPanel';
+import WebhookPanel from '../components/WebhookPanel';
+import GitCredentialsPanel from '../components/GitCredentialsPanel';
+import EnvVarsPanel from '../components/EnvVarsPanel';
+import HealthCheckPanel from '../components/HealthCheckPanel';
+import ResourcesPanel from '../components/ResourcesPanel';
+import { useRuntimeLogs } from '../hooks/useRuntimeLogs';
+import BuildConfigPanel from '../components/BuildConfigPanel';
 import { io } from 'socket.io-client';
 
+const LOG_TABS = [
+  { id: 'deployment', label: 'Deployment Logs' },
+  { id: 'runtime', label: 'Runtime Logs' },
+];
+
+// Matches the collector's sampling interval
+const METRICS_REFRESH_MS = 60 * 1000;
+
 const ProjectDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user } = useAuth();
   const [project, setProject] = useState(null);
   const [logs, setLogs] = useState([]);
+  const [deployments, setDeployments] = useState([]);
+  // null follows the latest deployment (and its live logs)
+  const [selectedDeploymentId, setSelectedDeploymentId] = useState(null);
+  const selectedDeploymentRef = useRef(null);
+  const [rollingBack, setRollingBack] = useState(false);
   const [loading, setLoading] = useState(true);
   const [deploying, setDeploying] = useState(false);
   const [error, setError] = useState('');
   const [socket, setSocket] = useState(null);
-  const [editingConfig, setEditingConfig] = useState(false);
-  const [buildConfig, setBuildConfig] = useState({
-    rootDirectory: '.',
-    buildCommand: 'npm run build',
-    publishDirectory: 'dist',
-  });
+  const [webhook, setWebhook] = useState(null);
+  const [deployRef, setDeployRef] = useState('');
+  const [clearingCache, setClearingCache] = useState(false);
+  const [dockerfile, setDockerfile] = useState(null); // { deploymentId, content }
+  const [loadingDockerfile, setLoadingDockerfile] = useState(false);
+  const [cacheCleared, setCacheCleared] = useState(false);
+  const [logsTab, setLogsTab] = useState('deployment');
+  const [controlling, setControlling] = useState(null); // 'stop' | 'start' | 'restart'
+  const [metrics, setMetrics] = useState(null);
+  const [metricsRange, setMetricsRange] = useState('1h');
+  const [loadingMetrics, setLoadingMetrics] = useState(false);
+  const [domainBusyId, setDomainBusyId] = useState(null);
 
   useEffect(() => {
     loadProject();
     loadLogs();
+    loadDeployments();
+    loadWebhook();
 
     // WebSocket for real-time logs
-    const newSocket = io('http://localhost:5000');
+    const newSocket = io('http://localhost:5000', {
+      auth: { token: localStorage.getItem('token') },
+    });
     setSocket(newSocket);
 
     newSocket.on('connect', () => {
@@ -42,7 +81,9 @@ const ProjectDetail = () => {
     });
 
     newSocket.on('deployment-log', (logData) => {
-      setLogs((prev) => [...prev, logData]);
+      if (!selectedDeploymentRef.current) {
+        setLogs((prev) => [...prev, logData]);
+      }
     });
 
     newSocket.on('deployment-status', (statusData) => {
@@ -51,7 +92,24 @@ const ProjectDetail = () => {
       );
       if (statusData.status !== 'deploying') {
         setDeploying(false);
+        loadProject();
       }
+      loadDeployments();
+    });
+
+    newSocket.on('health-status', ({ status, checkedAt, error: healthError }) => {
+      setProject((prev) =>
+        prev ? { ...prev, status, health: { checkedAt, error: healthError } } : null
+      );
+    });
+
+    newSocket.on('deployment-updated', () => {
+      loadDeployments();
+    });
+
+    newSocket.on('preview-updated', () => {
+      loadProject();
+      loadDeployments();
     });
 
     return () => {
@@ -59,45 +117,240 @@ const ProjectDetail = () => {
     };
   }, [id]);
 
+  // Recent container output, then live lines while the runtime tab is open
+  const runtime = useRuntimeLogs(socket, id, logsTab === 'runtime');
+
+  // Usage charts for server apps, refreshed as new samples arrive
+  const isServer = project?.buildType === 'server';
+  useEffect(() => {
+    if (!isServer) return undefined;
+
+    let cancelled = false;
+    const loadMetrics = async () => {
+      setLoadingMetrics(true);
+      try {
+        const metricsData = await projectService.getProjectMetrics(id, metricsRange);
+        if (!cancelled) setMetrics(metricsData);
+      } catch (err) {
+        console.error('Failed to load metrics:', err);
+      } finally {
+        if (!cancelled) setLoadingMetrics(false);
+      }
+    };
+
+    loadMetrics();
+    const timer = setInterval(loadMetrics, METRICS_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [id, isServer, metricsRange]);
+
   const loadProject = async () => {
     try {
       const projectData = await projectService.getProject(id);
       setProject(projectData);
-      setBuildConfig(
-        projectData.buildConfig || {
-          rootDirectory: '.',
-          buildCommand: 'npm run build',
-          publishDirectory: 'dist',
-        }
-      );
-    } catch (err) {
+    } catch {
       setError('Failed to load project');
     } finally {
       setLoading(false);
     }
   };
 
-  const loadLogs = async () => {
+  const loadLogs = async (deploymentId) => {
     try {
-      const logsData = await projectService.getLogs(id);
+      const logsData = await projectService.getLogs(id, deploymentId);
       setLogs(logsData);
     } catch (err) {
       console.error('Failed to load logs:', err);
     }
   };
 
+  const loadDeployments = async () => {
+    try {
+      const deploymentsData = await projectService.getDeployments(id);
+      setDeployments(deploymentsData);
+    } catch (err) {
+      console.error('Failed to load deployments:', err);
+    }
+  };
+
+  const loadWebhook = async () => {
+    try {
+      setWebhook(await projectService.getWebhook(id));
+    } catch (err) {
+      console.error('Failed to load webhook settings:', err);
+    }
+  };
+
+  const handleRotateWebhookSecret = async () => {
+    if (!window.confirm('Regenerate the webhook secret? GitHub deliveries will fail until you update it there.')) return false;
+
+    try {
+      setWebhook(await projectService.rotateWebhookSecret(id));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleSaveGitCredentials = async ({ type, token }) => {
+    if (
+      type === 'ssh' &&
+      project.gitCredentials?.type === 'ssh' &&
+      !window.confirm('Generate a new deploy key? The current key will stop being used.')
+    ) {
+      return false;
+    }
+
+    try {
+      const saved = await projectService.updateGitCredentials(id, { type, token });
+      setProject((prev) => ({ ...prev, gitCredentials: saved }));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleSelectDeployment = (deploymentId) => {
+    // Selecting the newest deployment goes back to following live logs
+    const latest = deployments[0]?._id;
+    const next = deploymentId === latest ? null : deploymentId;
+    selectedDeploymentRef.current = next;
+    setSelectedDeploymentId(next);
+    loadLogs(next || undefined);
+  };
+
+  const handleRollback = async (deployment) => {
+    if (!window.confirm(`Roll back to deployment #${deployment.version}?`)) return;
+
+    setRollingBack(true);
+    setError('');
+    try {
+      const updatedProject = await projectService.rollbackDeployment(id, deployment._id);
+      setProject(updatedProject);
+      await loadDeployments();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  const handleCancelDeployment = async (deployment) => {
+    setError('');
+    try {
+      await projectService.cancelDeployment(id, deployment._id);
+      await loadDeployments();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreatePreview = async (branch) => {
+    setError('');
+    selectedDeploymentRef.current = null;
+    setSelectedDeploymentId(null);
+    setLogs([]);
+    try {
+      await projectService.createPreview(id, branch);
+      await Promise.all([loadProject(), loadDeployments()]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeletePreview = async (preview) => {
+    if (!window.confirm(`Remove the preview for ${preview.branch}? Its files and container will be deleted.`)) return;
+
+    setError('');
+    try {
+      await projectService.deletePreview(id, preview.slug);
+      await Promise.all([loadProject(), loadDeployments()]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Every domain action returns the domain's new state; reloading picks it up
+  const runDomainAction = async (domain, action) => {
+    setError('');
+    setDomainBusyId(domain?._id || null);
+    try {
+      await action();
+      await loadProject();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDomainBusyId(null);
+    }
+  };
+
+  const handleAddDomain = (hostname, redirect) =>
+    runDomainAction(null, () => projectService.addDomain(id, hostname, redirect));
+
+  const handleVerifyDomain = (domain) =>
+    runDomainAction(domain, () => projectService.verifyDomain(id, domain._id));
+
+  const handleDomainRedirectChange = (domain, redirect) =>
+    runDomainAction(domain, () => projectService.updateDomain(id, domain._id, redirect));
+
+  const handleRemoveDomain = (domain) => {
+    if (!window.confirm(`Remove ${domain.hostname}? It will stop serving this project.`)) return;
+    return runDomainAction(domain, () => projectService.removeDomain(id, domain._id));
+  };
+
+  const handleTogglePreviews = async () => {
+    try {
+      const updatedProject = await projectService.updateProject(id, {
+        ...project,
+        previewsEnabled: !project.previewsEnabled,
+      });
+      setProject(updatedProject);
+    } catch {
+      setError('Failed to update preview settings');
+    }
+  };
+
   const handleDeploy = async () => {
     setDeploying(true);
     setError('');
+    selectedDeploymentRef.current = null;
+    setSelectedDeploymentId(null);
+    setLogs([]);
     try {
-      await projectService.deployProject(id);
+      await projectService.deployProject(id, deployRef.trim());
+      setDeployRef('');
       setProject((prev) => ({ ...prev, status: 'deploying' }));
+      await loadDeployments();
     } catch (err) {
       setError(err.message);
       setDeploying(false);
     }
   };
 
+  // Stop, start or restart the live container without redeploying
+  const handleControl = async (action) => {
+    setControlling(action);
+    setError('');
+    try {
+      const requests = {
+        stop: () => projectService.stopProject(id),
+        start: () => projectService.startProject(id),
+        restart: () => projectService.restartProject(id),
+      };
+      const updatedProject = await requests[action]();
+      setProject(updatedProject);
+    } catch (err) {
+      setError(err.message);
+      loadProject();
+    } finally {
+      setControlling(null);
+    }
+  };
+
   const handleDelete = async () => {
     if (
       window.confirm(
@@ -113,27 +366,87 @@ const ProjectDetail = () => {
     }
   };
 
-  const handleSaveBuildConfig = async () => {
+  const handleSaveBuildConfig = (settings) => updateSettings(settings);
+
+  const handleSaveHealthCheck = (healthCheck) => updateSettings({ healthCheck });
+
+  // Limits are applied when a container is created, so a live app needs a redeploy
+  const handleSaveResources = async (resources) => {
+    if (!(await updateSettings({ resources }))) return false;
+
+    if (
+      project.activeDeployment
+      && project.status !== 'deploying'
+      && window.confirm('Resource settings apply to new containers. Redeploy now to apply them?')
+    ) {
+      await handleDeploy();
+    }
+    return true;
+  };
+
+  const handleViewDockerfile = async (deployment) => {
+    setLoadingDockerfile(true);
+    try {
+      const result = await projectService.getDeploymentDockerfile(id, deployment._id);
+      setDockerfile({ deploymentId: deployment._id, content: result.dockerfile });
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingDockerfile(false);
+    }
+  };
+
+  const handleClearCache = async () => {
+    if (!window.confirm('Clear the build cache? The next deployment will install dependencies from scratch.')) {
+      return;
+    }
+
+    setClearingCache(true);
+    try {
+      await projectService.clearBuildCache(id);
+      setCacheCleared(true);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setClearingCache(false);
+    }
+  };
+
+  // Saves a few project settings; resolves to whether that worked
+  const updateSettings = async (changes) => {
     try {
       const updatedProject = await projectService.updateProject(id, {
         ...project,
-        buildConfig,
+        ...changes,
       });
       setProject(updatedProject);
-      setEditingConfig(false);
       setError('');
+      return true;
     } catch (err) {
-      setError('Failed to update build configuration');
+      setError(err.message);
+      return false;
     }
   };
 
-  const handleBuildConfigChange = (field, value) => {
-    setBuildConfig((prev) => ({
-      ...prev,
-      [field]: value,
-    }));
+  // Values are write-only: send only the variables that change
+  const handleSetEnvVar = (name, variable) => {
+    const replacing = project.envVars && name in project.envVars;
+    if (replacing && !window.confirm(`Replace the value of ${name}?`)) return false;
+    return updateSettings({ envVars: { [name]: variable } });
+  };
+
+  const handleEnvVarScopeChange = (name, scope) => updateSettings({ envVars: { [name]: { scope } } });
+
+  const handleRemoveEnvVar = async (name) => {
+    if (!window.confirm(`Remove ${name}?`)) return;
+    await updateSettings({ envVars: { [name]: null } });
   };
 
+  const liveDeployment = deployments.find((d) => d.active);
+  const selectedDeployment = deployments.find((d) => d._id === (selectedDeploymentId || deployments[0]?._id));
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -174,6 +487,8 @@ const ProjectDetail = () => {
               ? 'bg-green-100 text-green-700'
               : project.status === 'deploying'
               ? 'bg-yellow-100 text-yellow-700 animate-pulse'
+              : project.status === 'unhealthy'
+              ? 'bg-orange-100 text-orange-700'
               : project.status === 'failed'
               ? 'bg-red-100 text-red-700'
               : 'bg-gray-200 text-gray-700'
@@ -200,6 +515,14 @@ const ProjectDetail = () => {
                 Project Details
               </h2>
               <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={deployRef}
+                  onChange={(e) => setDeployRef(e.target.value)}
+                  placeholder={project.productionBranch || 'default branch'}
+                  title="Branch, tag or commit to deploy"
+                  className="w-40 px-2 py-1 text-sm rounded-lg border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none font-mono placeholder-gray-400"
+                />
                 <button
                   onClick={handleDeploy}
                   disabled={deploying || project.status === 'deploying'}
@@ -213,6 +536,38 @@ const ProjectDetail = () => {
                   </span>
                 </button>
 
+                {project.buildType === 'server' && project.containerId && (
+                  project.status === 'stopped' ? (
+                    <button
+                      onClick={() => handleControl('start')}
+                      disabled={!!controlling}
+                      className="px-3 py-1 rounded-lg bg-green-600 text-white font-semibold flex items-center space-x-2 shadow-md hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Play className="h-4 w-4" />
+                      <span>{controlling === 'start' ? 'Starting' : 'Start'}</span>
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => handleControl('restart')}
+                        disabled={!!controlling || project.status === 'deploying'}
+                        className="px-3 py-1 rounded-lg bg-gray-200 text-gray-700 font-semibold flex items-center space-x-2 shadow-md hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <RotateCw className={`h-4 w-4 ${controlling === 'restart' ? 'animate-spin' : ''}`} />
+                        <span>{controlling === 'restart' ? 'Restarting' : 'Restart'}</span>
+                      </button>
+                      <button
+                        onClick={() => handleControl('stop')}
+                        disabled={!!controlling || project.status === 'deploying'}
+                        className="px-3 py-1 rounded-lg bg-gray-200 text-gray-700 font-semibold flex items-center space-x-2 shadow-md hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <Square className="h-4 w-4" />
+                        <span>{controlling === 'stop' ? 'Stopping' : 'Stop'}</span>
+                      </button>
+                    </>
+                  )
+                )}
+
                 <button
                   onClick={handleDelete}
                   className="px-3 py-1 rounded-lg bg-gradient-to-r from-red-600 to-orange-600 text-white font-semibold flex items-center space-x-2 shadow-md hover:shadow-lg hover:scale-[1.02] transition-all"
@@ -241,6 +596,24 @@ const ProjectDetail = () => {
                 </div>
               </div>
 
+              {liveDeployment?.commitSha && (
+                <div className="flex items-center space-x-3">
+                  <GitCommit className="h-5 w-5 text-gray-600" />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-700">Live Commit</p>
+                    <p className="text-sm text-gray-600 truncate">
+                      <span className="font-mono">
+                        {liveDeployment.commitSha.slice(0, 7)}
+                      </span>{' '}
+                      {liveDeployment.commitMessage}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {liveDeployment.commitAuthor}
+                    </p>
+                  </div>
+                </div>
+              )}
+
               {project.subDomain && (
                 <div className="flex items-center space-x-3">
                   <Globe className="h-5 w-5 text-gray-600" />
@@ -273,152 +646,145 @@ const ProjectDetail = () => {
               )}
 
               {/* Build Configuration */}
-              <div className="border-t border-gray-200 pt-4">
-                <div className="flex items-center justify-between mb-3">
-                  <h3 className="text-sm font-medium text-gray-700">
-                    Build Configuration
-                  </h3>
-                  <button
-                    onClick={() => setEditingConfig(!editingConfig)}
-                    className="text-indigo-600 hover:text-purple-600 text-sm font-medium flex items-center space-x-1 transition-colors"
-                  >
-                    <Edit3 className="h-4 w-4" />
-                    <span>{editingConfig ? 'Cancel' : 'Edit'}</span>
-                  </button>
-                </div>
+              <BuildConfigPanel
+                productionBranch={project.productionBranch}
+                buildConfig={project.buildConfig}
+                buildType={project.buildType}
+                onSave={handleSaveBuildConfig}
+                clearingCache={clearingCache}
+                cacheCleared={cacheCleared}
+                onClearCache={handleClearCache}
+              />
 
-                <div className="space-y-3">
-                  <div>
-                    <p className="text-xs font-medium text-gray-600 mb-1">
-                      Root Directory
-                    </p>
-                    {editingConfig ? (
-                      <input
-                        type="text"
-                        value={buildConfig.rootDirectory}
-                        onChange={(e) =>
-                          handleBuildConfigChange('rootDirectory', e.target.value)
-                        }
-                        className="w-full px-3 py-1.5 text-sm rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
-                      />
-                    ) : (
-                      <p className="text-sm text-gray-800 font-mono bg-gray-50 px-2 py-1 rounded">
-                        {project.buildConfig?.rootDirectory || '.'}
-                      </p>
-                    )}
-                  </div>
+              {/* Health Check */}
+              {project.buildType === 'server' && (
+                <HealthCheckPanel
+                  healthCheck={project.healthCheck}
+                  health={project.health}
+                  onSave={handleSaveHealthCheck}
+                />
+              )}
 
-                  <div>
-                    <p className="text-xs font-medium text-gray-600 mb-1">
-                      Build Command
-                    </p>
-                    {editingConfig ? (
-                      <input
-                        type="text"
-                        value={buildConfig.buildCommand}
-                        onChange={(e) =>
-                          handleBuildConfigChange('buildCommand', e.target.value)
-                        }
-                        className="w-full px-3 py-1.5 text-sm rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
-                      />
-                    ) : (
-                      <p className="text-sm text-gray-800 font-mono bg-gray-50 px-2 py-1 rounded">
-                        {project.buildConfig?.buildCommand || 'npm run build'}
-                      </p>
-                    )}
-                  </div>
+              {/* Resources */}
+              {project.buildType === 'server' && (
+                <ResourcesPanel
+                  resources={project.resources}
+                  planLimits={user?.planLimits}
+                  onSave={handleSaveResources}
+                />
+              )}
 
-                  <div>
-                    <p className="text-xs font-medium text-gray-600 mb-1">
-                      Publish Directory
-                    </p>
-                    {editingConfig ? (
-                      <input
-                        type="text"
-                        value={buildConfig.publishDirectory}
-                        onChange={(e) =>
-                          handleBuildConfigChange(
-                            'publishDirectory',
-                            e.target.value
-                          )
-                        }
-                        className="w-full px-3 py-1.5 text-sm rounded border border-gray-300 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 outline-none"
-                      />
-                    ) : (
-                      <p className="text-sm text-gray-800 font-mono bg-gray-50 px-2 py-1 rounded">
-                        {project.buildConfig?.publishDirectory || 'dist'}
-                      </p>
-                    )}
-                  </div>
+              {/* Environment Variables */}
+              <EnvVarsPanel
+                envVars={project.envVars}
+                buildType={project.buildType}
+                onSet={handleSetEnvVar}
+                onScopeChange={handleEnvVarScopeChange}
+                onRemove={handleRemoveEnvVar}
+              />
 
-                  {editingConfig && (
-                    <div className="flex space-x-2 pt-2">
-                      <button
-                        onClick={handleSaveBuildConfig}
-                        className="px-3 py-1.5 text-sm rounded bg-indigo-600 text-white font-medium hover:bg-indigo-700 transition-colors"
-                      >
-                        Save
-                      </button>
-                      <button
-                        onClick={() => {
-                          setEditingConfig(false);
-                          setBuildConfig(
-                            project.buildConfig || {
-                              rootDirectory: '.',
-                              buildCommand: 'npm run build',
-                              publishDirectory: 'dist',
-                            }
-                          );
-                        }}
-                        className="px-3 py-1.5 text-sm rounded bg-gray-200 text-gray-700 font-medium hover:bg-gray-300 transition-colors"
-                      >
-                        Cancel
-                      </button>
-                    </div>
-                  )}
-                </div>
-              </div>
+              {/* Repository Access */}
+              <GitCredentialsPanel
+                credentials={project.gitCredentials || { type: 'none' }}
+                onSave={handleSaveGitCredentials}
+              />
 
-              {/* Environment Variables */}
-              {project.buildType === 'server' && (
-                <div className="border-t border-gray-200 pt-4">
-                  <h3 className="text-sm font-medium text-gray-700 mb-3">
-                    Environment Variables
-                  </h3>
-                  {project.envVars && Object.keys(project.envVars).length > 0 ? (
-                    <div className="space-y-2">
-                      {Object.entries(project.envVars).map(([key, value]) => (
-                        <div
-                          key={key}
-                          className="flex items-center space-x-2 text-sm"
-                        >
-                          <span className="font-mono text-gray-800 bg-gray-100 px-2 py-1 rounded min-w-0 flex-shrink-0">
-                            {key}
-                          </span>
-                          <span className="text-gray-400">=</span>
-                          <span className="font-mono text-gray-600 bg-gray-50 px-2 py-1 rounded truncate flex-1">
-                            {value ? '••••••••' : '(empty)'}
-                          </span>
-                        </div>
-                      ))}
-                    </div>
-                  ) : (
-                    <p className="text-sm text-gray-500 italic">
-                      No environment variables configured
-                    </p>
-                  )}
-                </div>
+              {/* GitHub Webhook */}
+              {webhook && (
+                <WebhookPanel webhook={webhook} onRotateSecret={handleRotateWebhookSecret} />
               )}
             </div>
           </div>
         </div>
       </div>
 
+      {/* Deployment history */}
+      <div className="mb-8">
+        <DeploymentsPanel
+          deployments={deployments.filter((d) => !d.previewSlug)}
+          selectedId={selectedDeploymentId || deployments[0]?._id}
+          onSelect={handleSelectDeployment}
+          onRollback={handleRollback}
+          onCancel={handleCancelDeployment}
+          rollingBack={rollingBack}
+        />
+      </div>
+
+      {/* Branch previews */}
+      <div className="mb-8">
+        <PreviewsPanel
+          previews={project.previews || []}
+          deployments={deployments}
+          previewsEnabled={project.previewsEnabled}
+          selectedId={selectedDeploymentId || deployments[0]?._id}
+          onSelect={handleSelectDeployment}
+          onCreate={handleCreatePreview}
+          onDelete={handleDeletePreview}
+          onTogglePreviews={handleTogglePreviews}
+        />
+      </div>
+
+      {/* Custom domains */}
+      <div className="mb-8">
+        <DomainsPanel
+          domains={project.domains || []}
+          busyId={domainBusyId}
+          onAdd={handleAddDomain}
+          onVerify={handleVerifyDomain}
+          onRedirectChange={handleDomainRedirectChange}
+          onRemove={handleRemoveDomain}
+        />
+      </div>
+
+      {/* Usage */}
+      {project.buildType === 'server' && (
+        <div className="mb-8">
+          <MetricsPanel
+            metrics={metrics}
+            range={metricsRange}
+            loading={loadingMetrics}
+            onRangeChange={setMetricsRange}
+          />
+        </div>
+      )}
+
       {/* Logs */}
       <LogsPanel
-        logs={logs}
-        isLoading={deploying || project.status === 'deploying'}
+        logs={logsTab === 'runtime' ? runtime.logs : logs}
+        isLoading={
+          logsTab === 'deployment' && !selectedDeploymentId && (deploying || project.status === 'deploying')
+        }
+        tabs={project.buildType === 'server' ? LOG_TABS : undefined}
+        activeTab={logsTab}
+        onTabChange={setLogsTab}
+        emptyMessage={
+          logsTab === 'runtime'
+            ? runtime.note || 'No output from the running container yet.'
+            : undefined
+        }
+        actions={
+          logsTab === 'runtime' && (
+            <span
+              className={`text-xs font-medium ${runtime.following ? 'text-green-600' : 'text-gray-500'}`}
+            >
+              {runtime.following ? '● Live' : 'Not streaming'}
+            </span>
+          )
+        }
       />
+
+      {/* Dockerfile of the selected server deployment */}
+      {selectedDeployment?.dockerfileTemplate && (
+        <div className="mt-8">
+          <DockerfilePanel
+            deployment={selectedDeployment}
+            dockerfile={dockerfile?.deploymentId === selectedDeployment._id ? dockerfile.content : null}
+            loading={loadingDockerfile}
+            onView={handleViewDockerfile}
+            onHide={() => setDockerfile(null)}
+          />
+        </div>
+      )}
     </div>
   );
 };
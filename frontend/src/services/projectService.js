@@ -48,6 +48,22 @@ class ProjectService {
     return response.json();
   }
 
+  // Suggested build settings for a public repository: { githubRepo, ref, rootDirectory }
+  async detectProject(repoData) {
+    const response = await fetch(`${API_BASE}/projects/detect`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(repoData),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to detect build settings');
+    }
+
+    return response.json();
+  }
+
   async updateProject(id, projectData) {
     const response = await fetch(`${API_BASE}/projects/${id}`, {
       method: 'PUT',
@@ -56,16 +72,18 @@ class ProjectService {
     });
 
     if (!response.ok) {
-      throw new Error('Failed to update project');
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to update project');
     }
 
     return response.json();
   }
 
-  async deployProject(id) {
+  async deployProject(id, ref) {
     const response = await fetch(`${API_BASE}/projects/${id}/deploy`, {
       method: 'POST',
       headers: this.getAuthHeaders(),
+      body: JSON.stringify(ref ? { ref } : {}),
     });
 
     if (!response.ok) {
@@ -76,6 +94,73 @@ class ProjectService {
     return response.json();
   }
 
+  async stopProject(id) {
+    const response = await fetch(`${API_BASE}/projects/${id}/stop`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to stop project');
+    }
+
+    return response.json();
+  }
+
+  async startProject(id) {
+    const response = await fetch(`${API_BASE}/projects/${id}/start`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to start project');
+    }
+
+    return response.json();
+  }
+
+  async restartProject(id) {
+    const response = await fetch(`${API_BASE}/projects/${id}/restart`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to restart project');
+    }
+
+    return response.json();
+  }
+
+  async getWebhook(id) {
+    const response = await fetch(`${API_BASE}/projects/${id}/webhook`, {
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch webhook settings');
+    }
+
+    return response.json();
+  }
+
+  async rotateWebhookSecret(id) {
+    const response = await fetch(`${API_BASE}/projects/${id}/webhook/rotate`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to regenerate webhook secret');
+    }
+
+    return response.json();
+  }
+
   async deleteProject(id) {
     const response = await fetch(`${API_BASE}/projects/${id}`, {
       method: 'DELETE',
@@ -89,8 +174,9 @@ class ProjectService {
     return response.json();
   }
 
-  async getLogs(projectId) {
-    const response = await fetch(`${API_BASE}/projects/${projectId}/logs`, {
+  async getLogs(projectId, deploymentId) {
+    const query = deploymentId ? `?deploymentId=${deploymentId}` : '';
+    const response = await fetch(`${API_BASE}/projects/${projectId}/logs${query}`, {
       headers: this.getAuthHeaders(),
     });
 
@@ -100,6 +186,209 @@ class ProjectService {
 
     return response.json();
   }
+
+  // Recent output of the project's running container
+  async getRuntimeLogs(projectId, { tail = 200 } = {}) {
+    const response = await fetch(`${API_BASE}/projects/${projectId}/runtime-logs?tail=${tail}`, {
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to fetch runtime logs');
+    }
+
+    return response.json();
+  }
+
+  async getProjectMetrics(projectId, range = '1h') {
+    const response = await fetch(`${API_BASE}/projects/${projectId}/metrics?range=${range}`, {
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to fetch metrics');
+    }
+
+    return response.json();
+  }
+
+  async getDeployments(projectId) {
+    const response = await fetch(`${API_BASE}/projects/${projectId}/deployments`, {
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch deployments');
+    }
+
+    return response.json();
+  }
+
+  async cancelDeployment(projectId, deploymentId) {
+    const response = await fetch(
+      `${API_BASE}/projects/${projectId}/deployments/${deploymentId}/cancel`,
+      {
+        method: 'POST',
+        headers: this.getAuthHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to cancel deployment');
+    }
+
+    return response.json();
+  }
+
+  async updateGitCredentials(id, credentials) {
+    const response = await fetch(`${API_BASE}/projects/${id}/git-credentials`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(credentials),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to update repository credentials');
+    }
+
+    return response.json();
+  }
+
+  async createPreview(id, branch) {
+    const response = await fetch(`${API_BASE}/projects/${id}/previews`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ branch }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to create preview');
+    }
+
+    return response.json();
+  }
+
+  async deletePreview(id, slug) {
+    const response = await fetch(`${API_BASE}/projects/${id}/previews/${slug}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to remove preview');
+    }
+
+    return response.json();
+  }
+
+  async addDomain(id, hostname, redirect) {
+    const response = await fetch(`${API_BASE}/projects/${id}/domains`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ hostname, redirect }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to add domain');
+    }
+
+    return response.json();
+  }
+
+  async verifyDomain(id, domainId) {
+    const response = await fetch(`${API_BASE}/projects/${id}/domains/${domainId}/verify`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to verify domain');
+    }
+
+    return response.json();
+  }
+
+  async updateDomain(id, domainId, redirect) {
+    const response = await fetch(`${API_BASE}/projects/${id}/domains/${domainId}`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ redirect }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to update domain');
+    }
+
+    return response.json();
+  }
+
+  async removeDomain(id, domainId) {
+    const response = await fetch(`${API_BASE}/projects/${id}/domains/${domainId}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to remove domain');
+    }
+
+    return response.json();
+  }
+
+  async clearBuildCache(id) {
+    const response = await fetch(`${API_BASE}/projects/${id}/cache`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to clear build cache');
+    }
+
+    return response.json();
+  }
+
+  async getDeploymentDockerfile(projectId, deploymentId) {
+    const response = await fetch(
+      `${API_BASE}/projects/${projectId}/deployments/${deploymentId}/dockerfile`,
+      { headers: this.getAuthHeaders() }
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to fetch Dockerfile');
+    }
+
+    return response.json();
+  }
+
+  async rollbackDeployment(projectId, deploymentId) {
+    const response = await fetch(
+      `${API_BASE}/projects/${projectId}/deployments/${deploymentId}/rollback`,
+      {
+        method: 'POST',
+        headers: this.getAuthHeaders(),
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to roll back deployment');
+    }
+
+    return response.json();
+  }
 }
 
 export const projectService = new ProjectService();
\ No newline at end of file
@@ -44,6 +44,10 @@ docker network create deploy-easy-network || true
 sudo mkdir -p /var/log/deploy-easy
 sudo chown ubuntu:ubuntu /var/log/deploy-easy
 
+# Dependency and framework caches reused between static builds (BUILD_CACHE_DIR)
+sudo mkdir -p /var/cache/deployflow
+sudo chown ubuntu:ubuntu /var/cache/deployflow
+
 # Configure firewall
 echo "🔒 Configuring firewall..."
 sudo ufw allow ssh
@@ -61,6 +65,14 @@ sudo apt-get install -y mongodb-org
 sudo systemctl start mongod
 sudo systemctl enable mongod
 
+# Static release pointers written by the backend (see nginx/nginx.conf)
+sudo mkdir -p /etc/nginx/deployflow/static-releases
+
+# Custom domain certificates: certbot answers webroot challenges from here,
+# served by nginx/sites-available/05-default-acme.conf
+sudo apt-get install -y certbot
+sudo mkdir -p /var/www/acme
+
 # Setup SSL certificate directory
 sudo mkdir -p /etc/nginx/ssl
 sudo chown -R ubuntu:ubuntu /etc/nginx/ssl